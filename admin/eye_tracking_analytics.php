@@ -62,6 +62,132 @@ $module_stats_query = "
 
 $module_stats_result = $conn->query($module_stats_query);
 
+// Get content dwell time and reading time (recorded by the client tracker in session_data)
+$session_metrics_query = "
+    SELECT 
+        ets.user_id, ets.module_id, ets.section_id, ets.session_data,
+        m.title as module_title,
+        ms.subtitle as section_title
+    FROM eye_tracking_sessions ets
+    JOIN modules m ON ets.module_id = m.id
+    LEFT JOIN module_sections ms ON ets.section_id = ms.id
+    WHERE ets.session_data IS NOT NULL
+";
+
+$content_dwell = [];
+$section_reading = [];
+$focus_timelines = [];
+$session_metrics_result = $conn->query($session_metrics_query);
+if ($session_metrics_result) {
+    while ($row = $session_metrics_result->fetch_assoc()) {
+        $session_data = json_decode($row['session_data'], true);
+        if (!is_array($session_data)) {
+            continue;
+        }
+
+        if (isset($session_data['reading_time'])) {
+            $key = $row['module_id'] . '|' . $row['section_id'];
+            if (!isset($section_reading[$key])) {
+                $section_reading[$key] = [
+                    'module_title' => $row['module_title'],
+                    'section_title' => $row['section_title'] ?? ('Section ' . $row['section_id']),
+                    'reading_time' => 0,
+                    'skimming_time' => 0,
+                    'other_time' => 0,
+                    'students' => []
+                ];
+            }
+            $section_reading[$key]['reading_time'] += intval($session_data['reading_time']);
+            $section_reading[$key]['skimming_time'] += intval($session_data['skimming_time'] ?? 0);
+            $section_reading[$key]['other_time'] += intval($session_data['staring_time'] ?? 0) + intval($session_data['looking_time'] ?? 0);
+            $section_reading[$key]['students'][$row['user_id']] = true;
+        }
+
+        if (!empty($session_data['focus_timeline']) && isset($session_data['focus_timeline_id'])) {
+            // Every save carries the timeline so far - keep the most complete snapshot of each one
+            $key = $session_data['focus_timeline_id'] . '|' . $row['module_id'] . '|' . $row['section_id'];
+            $last = end($session_data['focus_timeline']);
+            $length = floatval($last['offset'] ?? 0) + floatval($last['duration'] ?? 0);
+            if (!isset($focus_timelines[$key]) || $length >= $focus_timelines[$key]['length']) {
+                $focus_timelines[$key] = [
+                    'module_id' => $row['module_id'],
+                    'section_id' => $row['section_id'],
+                    'module_title' => $row['module_title'],
+                    'section_title' => $row['section_title'] ?? ('Section ' . $row['section_id']),
+                    'user_id' => $row['user_id'],
+                    'length' => $length,
+                    'intervals' => $session_data['focus_timeline']
+                ];
+            }
+        }
+
+        foreach ($session_data['element_dwell'] ?? [] as $element) {
+            $key = $row['module_id'] . '|' . $row['section_id'] . '|' . $element['id'];
+            if (!isset($content_dwell[$key])) {
+                $content_dwell[$key] = [
+                    'module_title' => $row['module_title'],
+                    'section_title' => $row['section_title'] ?? ('Section ' . $row['section_id']),
+                    'type' => $element['type'],
+                    'label' => $element['label'],
+                    'dwell_time' => 0,
+                    'students' => []
+                ];
+            }
+            $content_dwell[$key]['dwell_time'] += floatval($element['dwell_time']);
+            $content_dwell[$key]['students'][$row['user_id']] = true;
+        }
+    }
+}
+usort($content_dwell, function ($a, $b) {
+    return $b['dwell_time'] <=> $a['dwell_time'];
+});
+$content_dwell = array_slice($content_dwell, 0, 20);
+usort($section_reading, function ($a, $b) {
+    return $b['reading_time'] <=> $a['reading_time'];
+});
+
+// Focused share per minute into each section, across all students' focus timelines
+$attention_minutes = 30;
+$section_attention = [];
+foreach ($focus_timelines as $timeline) {
+    $key = $timeline['module_id'] . '|' . $timeline['section_id'];
+    if (!isset($section_attention[$key])) {
+        $section_attention[$key] = [
+            'module_title' => $timeline['module_title'],
+            'section_title' => $timeline['section_title'],
+            'minutes' => array_fill(0, $attention_minutes, ['focused' => 0, 'unfocused' => 0]),
+            'students' => []
+        ];
+    }
+    $section_attention[$key]['students'][$timeline['user_id']] = true;
+
+    foreach ($timeline['intervals'] as $interval) {
+        if ($interval['section_id'] != $timeline['section_id']) {
+            continue;
+        }
+        $start = floatval($interval['offset']);
+        $end = $start + floatval($interval['duration']);
+        $state = $interval['state'] === 'focused' ? 'focused' : 'unfocused';
+        for ($minute = (int) floor($start / 60); $minute < $attention_minutes && $minute * 60 < $end; $minute++) {
+            $overlap = min($end, ($minute + 1) * 60) - max($start, $minute * 60);
+            $section_attention[$key]['minutes'][$minute][$state] += $overlap;
+        }
+    }
+}
+foreach ($section_attention as &$section) {
+    $section['focus_by_minute'] = [];
+    foreach ($section['minutes'] as $minute => $time) {
+        $total = $time['focused'] + $time['unfocused'];
+        if ($total > 0) {
+            $section['focus_by_minute'][$minute] = (int) round($time['focused'] / $total * 100);
+        }
+    }
+    $section['lowest_minute'] = empty($section['focus_by_minute'])
+        ? null
+        : array_search(min($section['focus_by_minute']), $section['focus_by_minute']);
+}
+unset($section);
+
 function formatTime($seconds) {
     $hours = floor($seconds / 3600);
     $minutes = floor(($seconds % 3600) / 60);
@@ -212,6 +338,160 @@ function formatTime($seconds) {
             </div>
         </div>
 
+        <!-- Most Viewed Content -->
+        <div class="bg-white rounded-lg shadow mb-8">
+            <div class="px-6 py-4 border-b border-gray-200">
+                <h2 class="text-xl font-semibold text-gray-800">👀 Most Viewed Content</h2>
+            </div>
+            <div class="p-6">
+                <?php if (empty($content_dwell)): ?>
+                <p class="text-sm text-gray-500">No gaze data yet - students need to complete eye tracking calibration.</p>
+                <?php else: ?>
+                <div class="overflow-x-auto">
+                    <table class="min-w-full table-auto">
+                        <thead>
+                            <tr class="bg-gray-50">
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Module</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Section</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Content</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Dwell Time</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Students</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            <?php foreach ($content_dwell as $element): ?>
+                            <tr>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">
+                                    <?php echo htmlspecialchars($element['module_title']); ?>
+                                </td>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                                    <?php echo htmlspecialchars($element['section_title']); ?>
+                                </td>
+                                <td class="px-4 py-2 text-sm text-gray-900">
+                                    <span class="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-700 mr-1"><?php echo htmlspecialchars($element['type']); ?></span>
+                                    <?php echo htmlspecialchars($element['label']); ?>
+                                </td>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                                    <?php echo formatTime((int) round($element['dwell_time'])); ?>
+                                </td>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                                    <?php echo count($element['students']); ?>
+                                </td>
+                            </tr>
+                            <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                </div>
+                <?php endif; ?>
+            </div>
+        </div>
+
+        <!-- Reading vs. Looking per Section -->
+        <div class="bg-white rounded-lg shadow mb-8">
+            <div class="px-6 py-4 border-b border-gray-200">
+                <h2 class="text-xl font-semibold text-gray-800">📖 Reading vs. Looking by Section</h2>
+            </div>
+            <div class="p-6">
+                <?php if (empty($section_reading)): ?>
+                <p class="text-sm text-gray-500">No reading data yet.</p>
+                <?php else: ?>
+                <div class="overflow-x-auto">
+                    <table class="min-w-full table-auto">
+                        <thead>
+                            <tr class="bg-gray-50">
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Module</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Section</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reading</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Skimming</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Staring / Looking</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Students</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            <?php foreach ($section_reading as $section): ?>
+                            <tr>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">
+                                    <?php echo htmlspecialchars($section['module_title']); ?>
+                                </td>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                                    <?php echo htmlspecialchars($section['section_title']); ?>
+                                </td>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm text-green-700">
+                                    <?php echo formatTime($section['reading_time']); ?>
+                                </td>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                                    <?php echo formatTime($section['skimming_time']); ?>
+                                </td>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                                    <?php echo formatTime($section['other_time']); ?>
+                                </td>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                                    <?php echo count($section['students']); ?>
+                                </td>
+                            </tr>
+                            <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                </div>
+                <?php endif; ?>
+            </div>
+        </div>
+
+        <!-- Attention over Time per Section -->
+        <div class="bg-white rounded-lg shadow mb-8">
+            <div class="px-6 py-4 border-b border-gray-200">
+                <h2 class="text-xl font-semibold text-gray-800">⏱️ Attention over Time by Section</h2>
+                <p class="text-sm text-gray-500">Focused share of each minute into the section (first <?php echo $attention_minutes; ?> minutes)</p>
+            </div>
+            <div class="p-6">
+                <?php if (empty($section_attention)): ?>
+                <p class="text-sm text-gray-500">No focus timelines yet.</p>
+                <?php else: ?>
+                <div class="overflow-x-auto">
+                    <table class="min-w-full table-auto">
+                        <thead>
+                            <tr class="bg-gray-50">
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Module</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Section</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Focus by Minute</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Biggest Drop</th>
+                                <th class="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Students</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            <?php foreach ($section_attention as $section): ?>
+                            <tr>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm font-medium text-gray-900">
+                                    <?php echo htmlspecialchars($section['module_title']); ?>
+                                </td>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                                    <?php echo htmlspecialchars($section['section_title']); ?>
+                                </td>
+                                <td class="px-4 py-2 text-sm text-gray-900">
+                                    <div class="flex items-end gap-px h-8">
+                                        <?php foreach ($section['focus_by_minute'] as $minute => $percentage): ?>
+                                        <?php $color = $percentage >= 75 ? 'bg-green-500' : ($percentage >= 50 ? 'bg-yellow-400' : 'bg-red-500'); ?>
+                                        <div class="w-2 <?php echo $color; ?>" style="height: <?php echo max(4, $percentage); ?>%" title="Minute <?php echo $minute + 1; ?>: <?php echo $percentage; ?>% focused"></div>
+                                        <?php endforeach; ?>
+                                    </div>
+                                </td>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm text-red-700">
+                                    <?php if ($section['lowest_minute'] !== null): ?>
+                                    Minute <?php echo $section['lowest_minute'] + 1; ?> (<?php echo $section['focus_by_minute'][$section['lowest_minute']]; ?>%)
+                                    <?php endif; ?>
+                                </td>
+                                <td class="px-4 py-2 whitespace-nowrap text-sm text-gray-900">
+                                    <?php echo count($section['students']); ?>
+                                </td>
+                            </tr>
+                            <?php endforeach; ?>
+                        </tbody>
+                    </table>
+                </div>
+                <?php endif; ?>
+            </div>
+        </div>
+
         <!-- Detailed Analytics -->
         <div class="bg-white rounded-lg shadow">
             <div class="px-6 py-4 border-b border-gray-200">
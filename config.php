@@ -37,6 +37,19 @@ if ($mysql_url) {
 // Check if running on Railway/cloud
 define('IS_PRODUCTION', getenv('RAILWAY_ENVIRONMENT') || getenv('APP_ENV') === 'production');
 
+// Self-hosted MediaPipe model/WASM files for intranet deployments (empty = jsDelivr CDN)
+// URL of the folder produced by fetch_mediapipe_assets.py, e.g. /capstone/vendor/mediapipe/
+define('EYE_TRACKING_ASSET_URL', getenv('EYE_TRACKING_ASSET_URL') ?: '');
+
+// Eye tracking detector: auto (in-browser FaceMesh), facemesh-worker, facemesh, python-service
+// or python-edge (FaceMesh in the browser, only landmark features sent to the service)
+define('EYE_TRACKING_BACKEND', getenv('EYE_TRACKING_BACKEND') ?: 'auto');
+// Python eye tracking service, only used by the python-service and python-edge backends
+// Comma-separated candidates in order of preference - the browser uses the first one whose
+// /api/health answers, e.g. https://eyelearn-tracking.up.railway.app,http://localhost:5000
+define('EYE_TRACKING_SERVICE_URL', getenv('EYE_TRACKING_SERVICE_URL') ?: 'http://localhost:5000');
+define('EYE_TRACKING_SERVICE_URLS', array_values(array_filter(array_map('trim', explode(',', EYE_TRACKING_SERVICE_URL)))));
+
 /**
  * Initialize database tables (for fresh deployments like Railway)
  * @param mysqli $conn
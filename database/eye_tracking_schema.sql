@@ -36,6 +36,32 @@ CREATE TABLE IF NOT EXISTS `eye_tracking_analytics` (
   KEY `idx_module_date` (`module_id`, `date`)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Idempotency keys of applied tracking saves (retried saves from the client outbox are applied once)
+CREATE TABLE IF NOT EXISTS `eye_tracking_save_requests` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL,
+  `idempotency_key` varchar(64) NOT NULL,
+  `endpoint` varchar(64) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `unique_user_key` (`user_id`, `idempotency_key`),
+  KEY `idx_created_at` (`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Last saved totals per tracking session (save_session_data.php adds only what grew since then)
+CREATE TABLE IF NOT EXISTS `eye_tracking_session_totals` (
+  `id` int(11) NOT NULL AUTO_INCREMENT,
+  `user_id` int(11) NOT NULL,
+  `tracking_session_id` varchar(64) NOT NULL,
+  `session_time` int(11) NOT NULL DEFAULT 0,
+  `focused_time` int(11) NOT NULL DEFAULT 0,
+  `unfocused_time` int(11) NOT NULL DEFAULT 0,
+  `updated_at` timestamp NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `unique_user_session` (`user_id`, `tracking_session_id`),
+  KEY `idx_updated_at` (`updated_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Add foreign key constraints if the referenced tables exist
 -- Note: Uncomment these if you have users and modules tables with proper structure
 -- ALTER TABLE `eye_tracking_sessions` 
@@ -0,0 +1,120 @@
+#!/usr/bin/env python3
+"""
+EyeLearn MediaPipe Asset Fetcher
+Downloads the FaceMesh model/WASM files for offline (intranet) deployments
+and writes the SHA-256 manifest the browser checks them against.
+
+Usage:
+    python fetch_mediapipe_assets.py [target_dir]          # download + write manifest.json
+    python fetch_mediapipe_assets.py --verify [target_dir] # re-check a copied folder
+
+Then serve target_dir from the web server and set EYE_TRACKING_ASSET_URL to its URL.
+"""
+
+import base64
+import hashlib
+import json
+import sys
+import urllib.request
+from pathlib import Path
+
+DEFAULT_TARGET = Path("vendor") / "mediapipe"
+
+FACE_MESH_VERSION = "0.4.1657299874"
+TASKS_VISION_VERSION = "0.10.14"
+
+FACE_MESH_URL = f"https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh@{FACE_MESH_VERSION}/"
+TASKS_VISION_URL = f"https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@{TASKS_VISION_VERSION}/"
+MODEL_URL = "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task"
+
+# manifest path -> source URL
+ASSETS = {
+    # Main-thread FaceMesh (fallback when Web Workers are unavailable)
+    "face_mesh/face_mesh.js": FACE_MESH_URL + "face_mesh.js",
+    "face_mesh/face_mesh.binarypb": FACE_MESH_URL + "face_mesh.binarypb",
+    "face_mesh/face_mesh_solution_packed_assets_loader.js": FACE_MESH_URL + "face_mesh_solution_packed_assets_loader.js",
+    "face_mesh/face_mesh_solution_packed_assets.data": FACE_MESH_URL + "face_mesh_solution_packed_assets.data",
+    "face_mesh/face_mesh_solution_simd_wasm_bin.js": FACE_MESH_URL + "face_mesh_solution_simd_wasm_bin.js",
+    "face_mesh/face_mesh_solution_simd_wasm_bin.wasm": FACE_MESH_URL + "face_mesh_solution_simd_wasm_bin.wasm",
+    "face_mesh/face_mesh_solution_simd_wasm_bin.data": FACE_MESH_URL + "face_mesh_solution_simd_wasm_bin.data",
+    "face_mesh/face_mesh_solution_wasm_bin.js": FACE_MESH_URL + "face_mesh_solution_wasm_bin.js",
+    "face_mesh/face_mesh_solution_wasm_bin.wasm": FACE_MESH_URL + "face_mesh_solution_wasm_bin.wasm",
+    # Face Landmarker (Web Worker inference)
+    "tasks-vision/vision_bundle.cjs": TASKS_VISION_URL + "vision_bundle.cjs",
+    "tasks-vision/wasm/vision_wasm_internal.js": TASKS_VISION_URL + "wasm/vision_wasm_internal.js",
+    "tasks-vision/wasm/vision_wasm_internal.wasm": TASKS_VISION_URL + "wasm/vision_wasm_internal.wasm",
+    "tasks-vision/wasm/vision_wasm_nosimd_internal.js": TASKS_VISION_URL + "wasm/vision_wasm_nosimd_internal.js",
+    "tasks-vision/wasm/vision_wasm_nosimd_internal.wasm": TASKS_VISION_URL + "wasm/vision_wasm_nosimd_internal.wasm",
+    "models/face_landmarker.task": MODEL_URL,
+}
+
+def integrity(data):
+    """Subresource Integrity style hash - matches ModelAssetLoader.digest()"""
+    return "sha256-" + base64.b64encode(hashlib.sha256(data).digest()).decode("ascii")
+
+def fetch_assets(target):
+    """Download every asset and write manifest.json"""
+    print(f"📦 Downloading MediaPipe assets to {target}...")
+    files = {}
+
+    for path, url in ASSETS.items():
+        destination = target / path
+        destination.parent.mkdir(parents=True, exist_ok=True)
+
+        print(f"   ⬇️  {path}")
+        with urllib.request.urlopen(url, timeout=120) as response:
+            data = response.read()
+
+        destination.write_bytes(data)
+        files[path] = integrity(data)
+
+    manifest = {
+        "version": 1,
+        "face_mesh_version": FACE_MESH_VERSION,
+        "tasks_vision_version": TASKS_VISION_VERSION,
+        "files": files,
+    }
+    (target / "manifest.json").write_text(json.dumps(manifest, indent=2))
+
+    print(f"✅ {len(files)} files downloaded, manifest.json written")
+    return True
+
+def verify_assets(target):
+    """Check a copied asset folder against its manifest"""
+    print(f"🔍 Verifying MediaPipe assets in {target}...")
+    manifest_path = target / "manifest.json"
+    if not manifest_path.exists():
+        print(f"❌ {manifest_path} not found - run this script without --verify first")
+        return False
+
+    manifest = json.loads(manifest_path.read_text())
+    ok = True
+    for path, expected in manifest["files"].items():
+        file_path = target / path
+        if not file_path.exists():
+            print(f"❌ Missing: {path}")
+            ok = False
+        elif integrity(file_path.read_bytes()) != expected:
+            print(f"❌ Corrupted: {path}")
+            ok = False
+
+    if ok:
+        print(f"✅ All {len(manifest['files'])} files match the manifest")
+    return ok
+
+def main():
+    args = sys.argv[1:]
+    verify = "--verify" in args
+    args = [arg for arg in args if arg != "--verify"]
+    target = Path(args[0]) if args else DEFAULT_TARGET
+
+    try:
+        ok = verify_assets(target) if verify else fetch_assets(target)
+    except Exception as e:
+        print(f"❌ Failed: {e}")
+        ok = False
+
+    sys.exit(0 if ok else 1)
+
+if __name__ == "__main__":
+    main()
@@ -0,0 +1,166 @@
+/**
+ * Adaptive Frame Scheduler
+ * Runs an async per-frame task at a rate that follows the measured processing time
+ *
+ * - Never starts a frame while the previous one is still in flight
+ * - Drops the rate as soon as frames get slow, raises it one step at a time when there is headroom
+ * - Caps the rate while a laptop runs on battery (Battery Status API, where available)
+ * Used by the client-side tracker (user/js/cv-eye-tracking-client.js) and WebcamTracker.
+ */
+
+class AdaptiveFrameScheduler {
+    constructor(task, options = {}) {
+        this.task = task;
+
+        this.minFps = options.minFps || 2;
+        this.maxFps = options.maxFps || 15;
+        this.batteryMaxFps = options.batteryMaxFps || 5;
+        this.fps = Math.min(options.initialFps || 10, this.maxFps);
+        this.targetUtilization = options.targetUtilization || 0.5; // Share of each frame slot spent processing
+        this.adjustEvery = options.adjustEvery || 10;               // Frames between rate changes
+        this.smoothing = options.smoothing || 0.2;                  // EWMA weight of the newest sample
+
+        this.onRateChange = options.onRateChange || (() => {});
+
+        this.isRunning = false;
+        this.inFlight = false;
+        this.timeout = null;
+        this.onBattery = false;
+        this.battery = null;
+        this.batteryListener = null;
+
+        this.avgProcessingMs = null;
+        this.framesSinceAdjust = 0;
+        this.frameCount = 0;
+    }
+
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        this.watchBattery();
+        this.scheduleNext(0);
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+            this.timeout = null;
+        }
+        if (this.battery && this.batteryListener) {
+            this.battery.removeEventListener('chargingchange', this.batteryListener);
+            this.battery = null;
+            this.batteryListener = null;
+        }
+    }
+
+    scheduleNext(delayMs) {
+        if (!this.isRunning) return;
+        this.timeout = setTimeout(() => this.runFrame(), Math.max(0, delayMs));
+    }
+
+    async runFrame() {
+        this.timeout = null;
+        if (!this.isRunning || this.inFlight) return;
+
+        this.inFlight = true;
+        const started = performance.now();
+
+        try {
+            await this.task();
+        } catch (error) {
+            console.debug('Scheduled frame failed:', error.message);
+        } finally {
+            this.inFlight = false;
+        }
+
+        const processingMs = performance.now() - started;
+        this.recordSample(processingMs);
+
+        // The next frame starts one interval after this one started, or right away if we overran
+        this.scheduleNext(1000 / this.fps - processingMs);
+    }
+
+    recordSample(processingMs) {
+        this.frameCount++;
+        this.avgProcessingMs = this.avgProcessingMs === null
+            ? processingMs
+            : this.avgProcessingMs + this.smoothing * (processingMs - this.avgProcessingMs);
+
+        this.framesSinceAdjust++;
+        if (this.framesSinceAdjust >= this.adjustEvery) {
+            this.framesSinceAdjust = 0;
+            this.adjustRate();
+        }
+    }
+
+    adjustRate() {
+        const ceiling = this.getMaxFps();
+        const sustainableFps = (1000 * this.targetUtilization) / Math.max(1, this.avgProcessingMs);
+
+        let fps = this.fps;
+        if (sustainableFps < fps) {
+            // Slow frames - back off straight to what the device can sustain
+            fps = Math.floor(sustainableFps);
+        } else if (sustainableFps >= fps + 1) {
+            // Headroom - climb gradually so one fast frame doesn't cause a spike
+            fps = fps + 1;
+        }
+        this.setFps(Math.max(this.minFps, Math.min(ceiling, fps)));
+    }
+
+    setFps(fps) {
+        if (fps === this.fps) return;
+        const previous = this.fps;
+        this.fps = fps;
+        this.onRateChange(fps, previous);
+    }
+
+    // Lower (or restore) the ceiling at runtime, e.g. to stay inside a bandwidth budget
+    setMaxFps(maxFps) {
+        this.maxFps = Math.max(this.minFps, maxFps);
+        if (this.fps > this.getMaxFps()) {
+            this.setFps(this.getMaxFps());
+        }
+    }
+
+    getMaxFps() {
+        return this.onBattery ? Math.min(this.maxFps, this.batteryMaxFps) : this.maxFps;
+    }
+
+    async watchBattery() {
+        if (typeof navigator === 'undefined' || typeof navigator.getBattery !== 'function') return;
+
+        try {
+            const battery = await navigator.getBattery();
+            if (!this.isRunning) return;
+
+            this.battery = battery;
+            this.batteryListener = () => {
+                this.onBattery = !battery.charging;
+                if (this.fps > this.getMaxFps()) {
+                    this.setFps(this.getMaxFps());
+                }
+            };
+            battery.addEventListener('chargingchange', this.batteryListener);
+            this.batteryListener();
+        } catch (error) {
+            // Battery info is optional
+        }
+    }
+
+    getStats() {
+        return {
+            fps: this.fps,
+            maxFps: this.getMaxFps(),
+            avgProcessingMs: this.avgProcessingMs === null ? null : Math.round(this.avgProcessingMs * 10) / 10,
+            onBattery: this.onBattery,
+            frameCount: this.frameCount
+        };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdaptiveFrameScheduler;
+}
@@ -0,0 +1,137 @@
+/**
+ * Frame Socket
+ * One persistent WebSocket to the eye tracking service instead of a JSON request per frame
+ *
+ * - Frames go out as binary messages: 4-byte big-endian sequence number followed by the JPEG bytes
+ * - Results come back as JSON carrying the same seq; a result for an older frame than one already
+ *   answered, or for a frame that timed out, is discarded
+ * - connect() rejects when the socket can't be opened in time - callers fall back to HTTP
+ * Used by WebcamTracker (js/webcam-tracker.js).
+ */
+
+class FrameSocket {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.connectTimeoutMs = options.connectTimeoutMs || 3000;
+        this.resultTimeoutMs = options.resultTimeoutMs || 2000;
+
+        this.onClose = options.onClose || (() => {});
+
+        this.socket = null;
+        this.seq = 0;
+        this.lastResultSeq = 0;
+        this.pending = new Map(); // seq -> { resolve, timeout }
+        this.discardedResults = 0;
+    }
+
+    static isSupported() {
+        return typeof WebSocket !== 'undefined';
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url);
+            socket.binaryType = 'arraybuffer';
+
+            const timeout = setTimeout(() => {
+                socket.close();
+                reject(new Error('Frame socket did not open in time'));
+            }, this.connectTimeoutMs);
+
+            socket.onopen = () => {
+                clearTimeout(timeout);
+                this.socket = socket;
+                resolve(this);
+            };
+            socket.onerror = () => {
+                clearTimeout(timeout);
+                reject(new Error('Frame socket could not be opened'));
+            };
+            socket.onmessage = (event) => this.handleMessage(event.data);
+            socket.onclose = () => {
+                clearTimeout(timeout);
+                const wasOpen = this.socket === socket;
+                this.socket = null;
+                this.settleAll();
+                if (wasOpen) this.onClose();
+            };
+        });
+    }
+
+    isOpen() {
+        return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    /**
+     * Send one encoded frame
+     * @param {ArrayBuffer} frame - JPEG bytes
+     * @returns {Promise<Object|null>} the service's result, null when it timed out or arrived out of order
+     */
+    send(frame) {
+        if (!this.isOpen()) {
+            return Promise.reject(new Error('Frame socket is not open'));
+        }
+
+        const seq = ++this.seq;
+        const message = new Uint8Array(4 + frame.byteLength);
+        new DataView(message.buffer).setUint32(0, seq);
+        message.set(new Uint8Array(frame), 4);
+
+        return new Promise((resolve) => {
+            const timeout = setTimeout(() => this.settle(seq, null), this.resultTimeoutMs);
+            this.pending.set(seq, { resolve, timeout });
+            this.socket.send(message.buffer);
+        });
+    }
+
+    handleMessage(data) {
+        let result;
+        try {
+            result = JSON.parse(data);
+        } catch (error) {
+            console.warn('⚠️ Unreadable frame socket message:', error.message);
+            return;
+        }
+
+        const seq = result.seq;
+        if (!this.pending.has(seq) || seq <= this.lastResultSeq) {
+            this.discardedResults++;
+            return;
+        }
+        this.lastResultSeq = seq;
+
+        // Older frames still waiting can only be answered out of order now
+        for (const olderSeq of this.pending.keys()) {
+            if (olderSeq < seq) this.settle(olderSeq, null);
+        }
+        this.settle(seq, result);
+    }
+
+    settle(seq, result) {
+        const entry = this.pending.get(seq);
+        if (!entry) return;
+
+        this.pending.delete(seq);
+        clearTimeout(entry.timeout);
+        entry.resolve(result);
+    }
+
+    settleAll() {
+        [...this.pending.keys()].forEach(seq => this.settle(seq, null));
+    }
+
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        this.settleAll();
+        if (socket) {
+            socket.onclose = null;
+            socket.close();
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameSocket;
+}
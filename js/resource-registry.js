@@ -0,0 +1,79 @@
+/**
+ * Resource Registry
+ * One owner for everything a tracker has to clean up - intervals, timeouts, event listeners,
+ * media tracks and anything else with a release function
+ *
+ * - Every resource has a name; registering a name again releases the old resource first
+ * - release(name) frees one resource, releaseAll() everything (stop, error, re-init)
+ * - Timeouts drop out of the registry once they have fired
+ * Used by the client-side tracker (user/js/cv-eye-tracking-client.js).
+ */
+
+class ResourceRegistry {
+    constructor() {
+        this.resources = new Map(); // name -> release function
+    }
+
+    /**
+     * Register anything with a release function
+     * @returns {Function} release
+     */
+    add(name, release) {
+        this.release(name);
+        this.resources.set(name, release);
+        return () => this.release(name);
+    }
+
+    interval(name, callback, ms) {
+        const id = setInterval(callback, ms);
+        return this.add(name, () => clearInterval(id));
+    }
+
+    timeout(name, callback, ms) {
+        const id = setTimeout(() => {
+            this.resources.delete(name);
+            callback();
+        }, ms);
+        return this.add(name, () => clearTimeout(id));
+    }
+
+    listen(name, target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        return this.add(name, () => target.removeEventListener(type, handler, options));
+    }
+
+    // Camera/microphone - the browser's recording indicator goes off once every track is stopped
+    mediaStream(name, stream) {
+        return this.add(name, () => stream.getTracks().forEach(track => track.stop()));
+    }
+
+    has(name) {
+        return this.resources.has(name);
+    }
+
+    release(name) {
+        const release = this.resources.get(name);
+        if (!release) return;
+
+        this.resources.delete(name);
+        try {
+            release();
+        } catch (error) {
+            console.warn(`⚠️ Releasing ${name} failed:`, error);
+        }
+    }
+
+    // Newest first - later resources may depend on earlier ones (listeners on a video element...)
+    releaseAll() {
+        [...this.resources.keys()].reverse().forEach(name => this.release(name));
+    }
+
+    getNames() {
+        return [...this.resources.keys()];
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResourceRegistry;
+}
@@ -0,0 +1,310 @@
+/**
+ * Save Outbox
+ * Durable queue for tracking saves - nothing recorded is lost to flaky Wi-Fi
+ *
+ * - Every save is written to IndexedDB before it is sent and removed only once the server confirms it
+ * - Each save carries an idempotency key (Idempotency-Key header and idempotency_key field) so a
+ *   replay the server already applied is acknowledged instead of counted twice
+ * - Failed saves are retried with exponential backoff, when the browser comes back online and on
+ *   the next page load
+ * - Saves that replace each other (cumulative snapshots) can share a replaceKey - only the newest
+ *   pending one is kept
+ * - sendBeacon() for the last save while the page goes away; the stored copy is only dropped once a
+ *   later page load gets the server's acknowledgement for the same key
+ * Falls back to an in-memory queue where IndexedDB is unavailable (e.g. some private windows).
+ * Used by the client-side tracker (user/js/cv-eye-tracking-client.js) and EyeTrackingSystem.
+ */
+
+class SaveOutbox {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'eyelearn-save-outbox';
+        this.storeName = 'requests';
+        this.baseDelayMs = options.baseDelayMs || 2000;
+        this.maxDelayMs = options.maxDelayMs || 5 * 60 * 1000;
+
+        this.onDelivered = options.onDelivered || (() => {});
+
+        this.dbPromise = null;
+        this.memoryStore = null;      // Map used when IndexedDB can't be opened
+        this.flushing = null;         // Promise of the flush in progress
+        this.inFlight = new Set();    // Keys being sent right now
+        this.replaced = new Set();    // In-flight keys superseded by a newer save - not re-queued on failure
+        this.retryTimeout = null;
+        this.pageId = this.generateKey(); // Entries held by this page load aren't flushed by it
+
+        this.onlineListener = () => this.flush();
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', this.onlineListener);
+        }
+    }
+
+    /**
+     * Queue a JSON POST and try to deliver it right away
+     * @param {string} url - endpoint, relative to the current page
+     * @param {Object} body - request body; idempotency_key is added
+     * @param {Object} options - { replaceKey } replaces an older pending save with the same key
+     * @returns {Promise<{key:string, status:string, result:Object|null}>} status = delivered | queued | rejected
+     */
+    async enqueue(url, body, options = {}) {
+        const entry = this.createEntry(url, body, options);
+        await this.store(entry);
+
+        const { status, result } = await this.deliver(entry);
+        // Anything queued earlier that is due rides along
+        this.flush().catch(error => console.warn('⚠️ Save outbox flush failed:', error));
+        return { key: entry.key, status, result };
+    }
+
+    /**
+     * Store a save without sending it - it goes out on the next page load unless a newer save
+     * with the same replaceKey replaces it first (e.g. the page is hidden and may never come back)
+     */
+    hold(url, body, options = {}) {
+        const entry = this.createEntry(url, body, options);
+        entry.heldBy = this.pageId;
+        return this.store(entry);
+    }
+
+    /**
+     * Last-chance delivery while the page goes away (pagehide)
+     * The beacon is queued first - the page may be gone before IndexedDB finishes storing the copy.
+     * @returns {boolean} whether the browser accepted the beacon
+     */
+    sendBeacon(url, body, options = {}) {
+        const entry = this.createEntry(url, body, options);
+        entry.heldBy = this.pageId;
+
+        let sent = false;
+        if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+            // Beacons can't carry headers - the key travels in the body
+            const payload = new Blob([JSON.stringify({ ...body, idempotency_key: entry.key })], { type: 'application/json' });
+            sent = navigator.sendBeacon(entry.url, payload);
+        }
+
+        const stored = this.store(entry).catch(error => console.warn('⚠️ Save outbox storage failed:', error));
+        if (!sent) {
+            // Too large or beacons unsupported - a keepalive fetch also outlives the page
+            stored.then(() => this.deliver(entry));
+        }
+        return sent;
+    }
+
+    createEntry(url, body, options = {}) {
+        return {
+            key: this.generateKey(),
+            url: new URL(url, window.location.href).href, // Replays may run from another page
+            body,
+            replaceKey: options.replaceKey || null,
+            createdAt: Date.now(),
+            attempts: 0,
+            nextAttemptAt: 0,
+            heldBy: null
+        };
+    }
+
+    async store(entry) {
+        if (entry.replaceKey) {
+            const pending = await this.getAll();
+            for (const old of pending) {
+                if (old.replaceKey === entry.replaceKey) {
+                    if (this.inFlight.has(old.key)) this.replaced.add(old.key);
+                    await this.remove(old.key);
+                }
+            }
+        }
+        await this.put(entry);
+    }
+
+    // Send every save that is due, oldest first - one flush at a time
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.flushDue().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async flushDue() {
+        const entries = (await this.getAll()).sort((a, b) => a.createdAt - b.createdAt);
+        const now = Date.now();
+
+        for (const entry of entries) {
+            if (entry.nextAttemptAt > now || entry.heldBy === this.pageId) continue;
+
+            const { status } = await this.deliver(entry);
+            // Offline - the rest would fail the same way
+            if (status === 'queued' && typeof navigator !== 'undefined' && navigator.onLine === false) break;
+        }
+
+        this.scheduleRetry();
+    }
+
+    /**
+     * Try one save; the entry is removed once the server has it
+     * @returns {Promise<{status:string, result:Object|null}>} delivered | queued | rejected
+     */
+    async deliver(entry) {
+        if (this.inFlight.has(entry.key)) return { status: 'queued', result: null };
+        this.inFlight.add(entry.key);
+
+        try {
+            const response = await fetch(entry.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': entry.key
+                },
+                body: JSON.stringify({ ...entry.body, idempotency_key: entry.key }),
+                keepalive: true
+            });
+
+            const result = await response.json().catch(() => ({}));
+
+            if (response.ok && result.success) {
+                await this.remove(entry.key);
+                if (result.duplicate) {
+                    console.log(`📮 Save ${entry.key} was already applied - dropped from outbox`);
+                }
+                this.onDelivered(entry, result);
+                return { status: 'delivered', result };
+            }
+
+            // The server will never accept this one (bad input) - retrying can't help
+            if (response.status === 400 || response.status === 405 || response.status === 422) {
+                console.warn(`⚠️ Save rejected by server (HTTP ${response.status}) - dropped:`, result.error);
+                await this.remove(entry.key);
+                return { status: 'rejected', result };
+            }
+
+            throw new Error(result.error || `HTTP ${response.status}`);
+        } catch (error) {
+            if (this.replaced.has(entry.key)) return { status: 'queued', result: null };
+
+            entry.attempts++;
+            entry.nextAttemptAt = Date.now() + this.getRetryDelay(entry.attempts);
+            await this.put(entry);
+            console.warn(`⚠️ Save queued for retry (attempt ${entry.attempts}):`, error.message);
+            return { status: 'queued', result: null };
+        } finally {
+            this.inFlight.delete(entry.key);
+            this.replaced.delete(entry.key);
+        }
+    }
+
+    getRetryDelay(attempts) {
+        const delay = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempts - 1));
+        // Jitter so many tabs/students don't retry in lockstep after an outage
+        return Math.round(delay * (0.75 + Math.random() * 0.5));
+    }
+
+    async scheduleRetry() {
+        if (this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+        }
+
+        const entries = (await this.getAll()).filter(entry => entry.heldBy !== this.pageId);
+        if (entries.length === 0) return;
+
+        const nextAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+        this.retryTimeout = setTimeout(() => {
+            this.retryTimeout = null;
+            this.flush();
+        }, Math.max(0, nextAt - Date.now()));
+    }
+
+    async getPendingCount() {
+        return (await this.getAll()).length;
+    }
+
+    generateKey() {
+        if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+            return crypto.randomUUID();
+        }
+        return 'save_' + Date.now() + '_' + Math.random().toString(36).substr(2, 12);
+    }
+
+    close() {
+        if (this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+        }
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('online', this.onlineListener);
+        }
+    }
+
+    // IndexedDB storage - every method falls back to memoryStore
+
+    openDb() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('⚠️ Save outbox storage unavailable - queuing in memory only');
+                    resolve(null);
+                };
+            } catch (error) {
+                resolve(null);
+            }
+        });
+        return this.dbPromise;
+    }
+
+    async withStore(mode, operation) {
+        const db = await this.openDb();
+        if (!db) {
+            if (!this.memoryStore) this.memoryStore = new Map();
+            return operation(null);
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    getAll() {
+        return this.withStore('readonly', (store) => store ? store.getAll() : null)
+            .then(result => result || [...this.memoryStore.values()]);
+    }
+
+    put(entry) {
+        return this.withStore('readwrite', (store) => {
+            if (!store) {
+                this.memoryStore.set(entry.key, { ...entry });
+                return null;
+            }
+            return store.put(entry);
+        });
+    }
+
+    remove(key) {
+        return this.withStore('readwrite', (store) => {
+            if (!store) {
+                this.memoryStore.delete(key);
+                return null;
+            }
+            return store.delete(key);
+        });
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SaveOutbox;
+}
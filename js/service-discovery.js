@@ -0,0 +1,201 @@
+/**
+ * Service Discovery
+ * Finds a reachable eye tracking service among the candidate URLs the page was rendered with
+ *
+ * - Candidates come from server config (EYE_TRACKING_SERVICE_URL, comma-separated) in order of preference
+ * - Each candidate is checked with GET /api/health and a timeout; the first healthy one wins
+ * - The choice is remembered in sessionStorage for the browser session and re-checked before reuse,
+ *   so a service that went away is replaced instead of retried on every page
+ * - The health response carries a protocol version and capability list (endpoints, frame formats,
+ *   features); a candidate missing what the caller needs is skipped, and when no candidate fits,
+ *   resolve() throws a ServiceIncompatibleError naming what is missing
+ * Used by the tracker's python-service and python-edge backends (user/js/detector-backends.js).
+ */
+
+class ServiceIncompatibleError extends Error {
+    constructor(message, url = null, missing = []) {
+        super(message);
+        this.name = 'ServiceIncompatibleError';
+        this.url = url;
+        this.missing = missing;
+    }
+}
+
+class ServiceCapabilities {
+    /**
+     * @param {Object} health - /api/health response
+     */
+    constructor(health = {}) {
+        this.health = health;
+        this.version = health.version || 'unknown';
+
+        // Services from before protocol negotiation - assume only what every build of them had
+        const legacy = ServiceCapabilities.LEGACY[health.mode] || ServiceCapabilities.LEGACY.unknown;
+        const declared = health.capabilities || legacy;
+        this.mode = health.mode || 'unknown';
+        this.protocol = health.protocol || legacy.protocol;
+        this.endpoints = declared.endpoints || [];
+        this.frameFormats = declared.frame_formats || [];
+        this.features = declared.features || [];
+    }
+
+    hasEndpoint(endpoint) {
+        return this.endpoints.includes(endpoint);
+    }
+
+    hasFeature(feature) {
+        return this.features.includes(feature);
+    }
+
+    /**
+     * @param {Object} requirements - { endpoints, frameFormats, features }
+     * @returns {string[]} what this service lacks, empty when it fits
+     */
+    getMissing(requirements = {}) {
+        const missing = [];
+        (requirements.endpoints || []).filter(endpoint => !this.hasEndpoint(endpoint))
+            .forEach(endpoint => missing.push(endpoint));
+        (requirements.frameFormats || []).filter(format => !this.frameFormats.includes(format))
+            .forEach(format => missing.push(`${format} frames`));
+        (requirements.features || []).filter(feature => !this.hasFeature(feature))
+            .forEach(feature => missing.push(`${feature} support`));
+        return missing;
+    }
+
+    describe() {
+        return `${this.mode} service v${this.version}, protocol ${this.protocol}`;
+    }
+}
+
+ServiceCapabilities.LEGACY = {
+    'client-webcam': {
+        protocol: 2,
+        endpoints: ['/api/health', '/api/process_frame', '/api/start_tracking', '/api/status', '/api/stop_tracking'],
+        frame_formats: ['jpeg-base64'],
+        features: ['client-webcam']
+    },
+    // No mode at all - eye_tracking_service_simple.py before it reported one
+    unknown: { protocol: 1, endpoints: ['/api/health'], frame_formats: [], features: [] }
+};
+
+class ServiceDiscovery {
+    /**
+     * @param {string|string[]} candidates - service base URLs, array or comma-separated
+     * @param {Object} options - timeoutMs per health check, storageKey for the remembered choice
+     */
+    constructor(candidates, options = {}) {
+        this.candidates = ServiceDiscovery.parseCandidates(candidates);
+        this.timeoutMs = options.timeoutMs || 2000;
+        this.storageKey = options.storageKey || 'eyeTrackingServiceUrl';
+    }
+
+    static parseCandidates(candidates) {
+        const list = Array.isArray(candidates) ? candidates : String(candidates || '').split(',');
+        const urls = list
+            .map(url => String(url || '').trim().replace(/\/+$/, ''))
+            .filter(url => url.length > 0);
+        return [...new Set(urls)];
+    }
+
+    /**
+     * Pick the service to use
+     * @param {Object} requirements - what the caller needs, see ServiceCapabilities.getMissing()
+     * @returns {Promise<{url: string, health: Object, capabilities: ServiceCapabilities}>}
+     * @throws ServiceIncompatibleError when services answered but none fits, Error when none answered
+     */
+    async resolve(requirements = {}) {
+        if (this.candidates.length === 0) {
+            throw new Error('No eye tracking service URL configured');
+        }
+
+        // Last choice first - it only counts if it is still one of the configured candidates
+        const remembered = this.getRemembered();
+        const order = remembered ? [remembered, ...this.candidates.filter(url => url !== remembered)] : this.candidates;
+        let incompatible = null;
+
+        for (const url of order) {
+            const health = await this.checkHealth(url);
+            const capabilities = health ? new ServiceCapabilities(health) : null;
+            const missing = capabilities ? capabilities.getMissing(requirements) : [];
+
+            if (capabilities && missing.length === 0) {
+                this.remember(url);
+                return { url, health, capabilities };
+            }
+            if (capabilities && !incompatible) {
+                incompatible = { url, capabilities, missing };
+                console.warn(`⚠️ Eye tracking service at ${url} (${capabilities.describe()}) lacks ${missing.join(', ')}`);
+            }
+            if (url === remembered) {
+                this.forget();
+            }
+        }
+
+        if (incompatible) {
+            const { url, capabilities, missing } = incompatible;
+            const hint = capabilities.protocol === 1
+                ? ' - it reads its own camera; run python_services/eye_tracking_service.py instead'
+                : ' - update the service';
+            throw new ServiceIncompatibleError(
+                `The eye tracking service at ${url} (${capabilities.describe()}) is missing ${missing.join(', ')}${hint}`,
+                url,
+                missing
+            );
+        }
+        throw new Error(`No eye tracking service reachable (tried ${this.candidates.join(', ')})`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} the service's health response, null when it is down or too slow
+     */
+    async checkHealth(url) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = setTimeout(() => controller && controller.abort(), this.timeoutMs);
+
+        try {
+            const response = await fetch(`${url}/api/health`, {
+                cache: 'no-store',
+                signal: controller ? controller.signal : undefined
+            });
+            if (!response.ok) return null;
+
+            const data = await response.json();
+            return data && data.success !== false ? data : null;
+        } catch (error) {
+            console.debug(`Eye tracking service ${url} not reachable:`, error.message);
+            return null;
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    getRemembered() {
+        try {
+            const url = sessionStorage.getItem(this.storageKey);
+            return url && this.candidates.includes(url) ? url : null;
+        } catch (error) {
+            return null; // Storage blocked or unavailable
+        }
+    }
+
+    remember(url) {
+        try {
+            sessionStorage.setItem(this.storageKey, url);
+        } catch (error) {
+            // Not remembered - the next page checks the candidates again
+        }
+    }
+
+    forget() {
+        try {
+            sessionStorage.removeItem(this.storageKey);
+        } catch (error) {
+            // Nothing stored
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ServiceDiscovery, ServiceCapabilities, ServiceIncompatibleError };
+}
@@ -1,11 +1,22 @@
 /**
  * Client-side Webcam Eye Tracking Module
  * Captures frames from user's webcam and sends to cloud server for processing
+ * Requires js/adaptive-frame-scheduler.js - the send rate follows the measured round-trip time
+ * startSession()/sendFrame()/endSession() also work on their own, without the webcam or frame loop
+ * sendFeatures() is the edge-mode alternative: landmark features computed in the browser, no image
+ * Frames stream over one WebSocket (js/frame-socket.js, options.transport) when the service offers
+ * it, otherwise each frame is a JSON request to /api/process_frame
+ * Backpressure: at most maxInFlight frames wait for a result (extra frames are dropped); frame size
+ * and JPEG quality step down when round trips get slow or the stream exceeds bandwidthBudgetKbps.
+ * At the smallest encoding the budget caps the frame rate (budgetMaxFps) - applied to our own frame
+ * loop, and read by the tracker core through its python-service backend when the core sends the frames.
+ * The effective settings are passed to onMetricsUpdate as metrics.stream.
  */
 
 class WebcamTracker {
     constructor(options = {}) {
-        this.serverUrl = options.serverUrl || 'http://localhost:5000';
+        // Local development default - pages pass the URL js/service-discovery.js picked from server config
+        this.serverUrl = (options.serverUrl || 'http://localhost:5000').replace(/\/+$/, '');
         this.sessionId = options.sessionId || this.generateSessionId();
         this.userId = options.userId;
         this.moduleId = options.moduleId;
@@ -17,14 +28,35 @@ class WebcamTracker {
         this.stream = null;
         
         this.isTracking = false;
-        this.frameInterval = null;
-        this.frameRate = options.frameRate || 10; // frames per second
+        this.frameScheduler = null;
+        this.frameRate = options.frameRate || 10; // starting frames per second
+        this.minFrameRate = options.minFrameRate || 2;
+        this.maxFrameRate = options.maxFrameRate || 15;
+        
+        // 'auto' tries the WebSocket and falls back to HTTP, 'websocket' / 'http' force one
+        this.transport = options.transport || 'auto';
+        this.frameSocket = null;
+        
+        // Backpressure and bandwidth - WebcamTracker.ENCODING_LEVELS, best first
+        this.maxInFlight = options.maxInFlight || 1;
+        this.targetRttMs = options.targetRttMs || 400;
+        this.bandwidthBudgetKbps = options.bandwidthBudgetKbps || null; // null = no limit
+        this.budgetMaxFps = null;                                        // null = the budget allows any rate
+        this.encodingLevel = 0;
+        this.framesInFlight = 0;
+        this.droppedFrames = 0;
+        this.avgRttMs = null;
+        this.avgFrameBytes = null;
+        this.avgFrameIntervalMs = null;
+        this.lastFrameSentAt = null;
+        this.framesSinceEncodingCheck = 0;
         
         this.onFocusChange = options.onFocusChange || (() => {});
         this.onMetricsUpdate = options.onMetricsUpdate || (() => {});
         this.onFrameProcessed = options.onFrameProcessed || (() => {});
         this.onError = options.onError || console.error;
         this.onCountdownUpdate = options.onCountdownUpdate || (() => {});
+        this.onFrameRateChange = options.onFrameRateChange || (() => {});
         
         this.lastFocusState = null;
         this.metrics = null;
@@ -44,11 +76,7 @@ class WebcamTracker {
             this.video.style.display = 'none';
             document.body.appendChild(this.video);
             
-            // Create canvas for frame capture
-            this.canvas = document.createElement('canvas');
-            this.canvas.width = 640;
-            this.canvas.height = 480;
-            this.ctx = this.canvas.getContext('2d');
+            this.createCaptureCanvas();
             
             // Request webcam access
             this.stream = await navigator.mediaDevices.getUserMedia({
@@ -71,42 +99,39 @@ class WebcamTracker {
         }
     }
     
+    // Canvas for frame capture - also used when frames come from someone else's video element
+    createCaptureCanvas() {
+        const encoding = this.getEncoding();
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = encoding.width;
+        this.canvas.height = encoding.height;
+        this.ctx = this.canvas.getContext('2d');
+    }
+    
+    getEncoding() {
+        return WebcamTracker.ENCODING_LEVELS[this.encodingLevel];
+    }
+    
     async startTracking() {
         if (!this.stream) {
             const initialized = await this.init();
             if (!initialized) return false;
         }
         
-        if (!this.userId || !this.moduleId) {
-            this.onError('User ID and Module ID are required');
-            return false;
-        }
-        
         try {
-            // Start session on server
-            const response = await fetch(`${this.serverUrl}/api/start_tracking`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    session_id: this.sessionId,
-                    user_id: this.userId,
-                    module_id: this.moduleId,
-                    section_id: this.sectionId
-                })
-            });
-            
-            const data = await response.json();
-            
-            if (!data.success) {
-                this.onError('Failed to start tracking: ' + data.error);
-                return false;
-            }
-            
-            this.isTracking = true;
+            await this.startSession();
             
-            // Start sending frames
-            const intervalMs = 1000 / this.frameRate;
-            this.frameInterval = setInterval(() => this.captureAndSendFrame(), intervalMs);
+            // Start sending frames - one request in flight at a time
+            this.frameScheduler = new AdaptiveFrameScheduler(() => this.captureAndSendFrame(), {
+                initialFps: this.frameRate,
+                minFps: this.minFrameRate,
+                maxFps: this.maxFrameRate,
+                onRateChange: (fps) => {
+                    this.frameRate = fps;
+                    this.onFrameRateChange(fps);
+                }
+            });
+            this.frameScheduler.start();
             
             console.log('Tracking started with session:', this.sessionId);
             return true;
@@ -116,84 +141,323 @@ class WebcamTracker {
         }
     }
     
+    /**
+     * Open the tracking session on the server
+     * Throws when the service refuses - used directly by the tracker's python-service backend
+     */
+    async startSession() {
+        if (!this.userId || !this.moduleId) {
+            throw new Error('User ID and Module ID are required');
+        }
+        
+        const response = await fetch(`${this.serverUrl}/api/start_tracking`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                session_id: this.sessionId,
+                user_id: this.userId,
+                module_id: this.moduleId,
+                section_id: this.sectionId
+            })
+        });
+        
+        const data = await response.json();
+        
+        if (!data.success) {
+            throw new Error('Failed to start tracking: ' + data.error);
+        }
+        
+        this.isTracking = true;
+        await this.openFrameSocket();
+        return data;
+    }
+    
+    // Stream frames over a WebSocket for this session - any failure leaves the HTTP path in place
+    async openFrameSocket() {
+        if (this.transport === 'http' || typeof FrameSocket === 'undefined' || !FrameSocket.isSupported()) {
+            return false;
+        }
+        
+        const url = `${this.serverUrl.replace(/^http/, 'ws')}/ws/frames?session_id=${encodeURIComponent(this.sessionId)}`;
+        const socket = new FrameSocket(url, {
+            onClose: () => {
+                if (this.frameSocket === socket) {
+                    this.frameSocket = null;
+                    console.warn('⚠️ Frame socket closed - sending frames over HTTP');
+                }
+            }
+        });
+        
+        try {
+            await socket.connect();
+            this.frameSocket = socket;
+            console.log('🔌 Streaming frames over WebSocket');
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ ${error.message} - sending frames over HTTP`);
+            if (this.transport === 'websocket') {
+                this.onError('Frame socket unavailable: ' + error.message);
+            }
+            return false;
+        }
+    }
+    
+    closeFrameSocket() {
+        if (this.frameSocket) {
+            this.frameSocket.close();
+            this.frameSocket = null;
+        }
+    }
+    
+    getActiveTransport() {
+        return this.frameSocket ? 'websocket' : 'http';
+    }
+    
     async captureAndSendFrame() {
         if (!this.isTracking || !this.video || !this.ctx) return;
         
         try {
-            // Capture frame from video
-            this.ctx.drawImage(this.video, 0, 0, this.canvas.width, this.canvas.height);
-            
-            // Convert to base64 JPEG
-            const frameData = this.canvas.toDataURL('image/jpeg', 0.7);
+            await this.sendFrame(this.video);
+        } catch (error) {
+            // Silently handle network errors to avoid spamming console
+            console.debug('Frame processing error:', error.message);
+        }
+    }
+    
+    /**
+     * Send one frame for processing and return the service's result
+     * @param {HTMLVideoElement|HTMLCanvasElement} source - any drawable frame source
+     * @returns {Promise<Object|null>} null when the frame was dropped (too many in flight) or a
+     *   streamed result timed out or came back out of order
+     */
+    async sendFrame(source) {
+        if (this.framesInFlight >= this.maxInFlight) {
+            this.droppedFrames++;
+            return null;
+        }
+        this.framesInFlight++;
+        
+        try {
+            if (!this.ctx) {
+                this.createCaptureCanvas();
+            }
             
-            // Send to server
-            const response = await fetch(`${this.serverUrl}/api/process_frame`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    session_id: this.sessionId,
-                    frame: frameData
-                })
-            });
+            // Capture frame
+            this.ctx.drawImage(source, 0, 0, this.canvas.width, this.canvas.height);
             
-            const result = await response.json();
+            const started = performance.now();
+            const { result, bytes } = this.frameSocket
+                ? await this.sendFrameOverSocket()
+                : await this.sendFrameOverHttp();
+            this.recordFrameStats(performance.now() - started, bytes);
             
-            if (result.success) {
-                // Handle focus change
-                if (result.is_focused !== this.lastFocusState) {
-                    this.lastFocusState = result.is_focused;
-                    this.onFocusChange(result.is_focused);
-                }
-                
-                // Update metrics
-                if (result.metrics) {
-                    this.metrics = result.metrics;
-                    this.onMetricsUpdate(result.metrics);
-                }
-                
-                // Countdown update
-                if (result.countdown_active) {
-                    this.onCountdownUpdate(result.countdown_remaining);
-                }
-                
-                // Pass annotated frame if available
-                this.onFrameProcessed({
-                    annotatedFrame: result.annotated_frame,
-                    isFocused: result.is_focused,
-                    trackingState: result.tracking_state,
-                    metrics: result.metrics
-                });
+            if (result) {
+                this.handleFrameResult(result);
             }
+            return result;
+        } finally {
+            this.framesInFlight--;
+        }
+    }
+    
+    async sendFrameOverSocket() {
+        const blob = await new Promise(resolve => this.canvas.toBlob(resolve, 'image/jpeg', this.getEncoding().quality));
+        
+        try {
+            const result = await this.frameSocket.send(await blob.arrayBuffer());
+            return { result, bytes: blob.size };
         } catch (error) {
-            // Silently handle network errors to avoid spamming console
-            console.debug('Frame processing error:', error.message);
+            // Closed between frames - this one goes over HTTP
+            return this.sendFrameOverHttp();
+        }
+    }
+    
+    async sendFrameOverHttp() {
+        // Convert to base64 JPEG
+        const frameData = this.canvas.toDataURL('image/jpeg', this.getEncoding().quality);
+        const body = JSON.stringify({
+            session_id: this.sessionId,
+            frame: frameData
+        });
+        
+        // Send to server
+        const response = await fetch(`${this.serverUrl}/api/process_frame`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body
+        });
+        
+        return { result: await response.json(), bytes: body.length };
+    }
+    
+    /**
+     * Edge mode - send a landmark feature vector instead of a frame, so no image leaves the browser
+     * @param {Object} features - { face_count, gaze_x, gaze_y, ear, yaw, pitch, roll, pose_confidence, bounds }
+     *   bounds = the student's focus box { horizontal_min, horizontal_max, vertical_min, vertical_max }
+     * @returns {Promise<Object>} same result as a frame, plus unfocus_reason
+     */
+    async sendFeatures(features) {
+        const response = await fetch(`${this.serverUrl}/api/process_features`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                session_id: this.sessionId,
+                features
+            })
+        });
+        
+        const result = await response.json();
+        this.handleFrameResult(result);
+        return result;
+    }
+    
+    // Round-trip time, payload size and send rate, smoothed - adjustEncoding() acts on them
+    recordFrameStats(rttMs, bytes) {
+        const now = performance.now();
+        const smooth = (average, sample) => (average === null ? sample : average + 0.2 * (sample - average));
+        
+        this.avgRttMs = smooth(this.avgRttMs, rttMs);
+        this.avgFrameBytes = smooth(this.avgFrameBytes, bytes);
+        if (this.lastFrameSentAt !== null) {
+            this.avgFrameIntervalMs = smooth(this.avgFrameIntervalMs, now - this.lastFrameSentAt);
+        }
+        this.lastFrameSentAt = now;
+        
+        this.framesSinceEncodingCheck++;
+        if (this.framesSinceEncodingCheck >= 5) {
+            this.framesSinceEncodingCheck = 0;
+            this.adjustEncoding();
+        }
+    }
+    
+    getBandwidthKbps() {
+        if (this.avgFrameBytes === null || !this.avgFrameIntervalMs) return null;
+        return (this.avgFrameBytes * 8) / this.avgFrameIntervalMs; // bits per ms = kbit/s
+    }
+    
+    // One step at a time: smaller/lower-quality frames first, then (at the smallest) fewer of them
+    adjustEncoding() {
+        const lowest = WebcamTracker.ENCODING_LEVELS.length - 1;
+        const kbps = this.getBandwidthKbps();
+        const budget = this.bandwidthBudgetKbps;
+        const overBudget = budget && kbps !== null && kbps > budget;
+        
+        let level = this.encodingLevel;
+        if (this.avgRttMs > this.targetRttMs || overBudget) {
+            level = Math.min(lowest, level + 1);
+        } else if (this.avgRttMs < this.targetRttMs / 2 && (!budget || (kbps !== null && kbps < budget * 0.6))) {
+            level = Math.max(0, level - 1);
+        }
+        
+        if (level !== this.encodingLevel) {
+            const previous = this.getEncoding();
+            this.encodingLevel = level;
+            const encoding = this.getEncoding();
+            
+            if (this.canvas && (encoding.width !== previous.width || encoding.height !== previous.height)) {
+                this.canvas.width = encoding.width;
+                this.canvas.height = encoding.height;
+            }
+            this.avgFrameBytes = null; // New size - old payload sizes no longer apply
+            console.log(`📐 Frame encoding ${encoding.width}×${encoding.height} @ JPEG ${encoding.quality}`);
+        }
+        
+        // Frames can't get any smaller - only fewer of them stay inside the budget
+        if (budget) {
+            if (level !== lowest) {
+                this.budgetMaxFps = null;
+            } else if (this.avgFrameBytes !== null) {
+                const frameKbit = (this.avgFrameBytes * 8) / 1000;
+                this.budgetMaxFps = Math.min(this.maxFrameRate, Math.floor(budget / frameKbit));
+            }
+            if (this.frameScheduler) {
+                this.frameScheduler.setMaxFps(this.budgetMaxFps || this.maxFrameRate);
+            }
+        }
+    }
+    
+    // Effective settings, reported with every metrics update
+    getStreamSettings() {
+        const encoding = this.getEncoding();
+        const kbps = this.getBandwidthKbps();
+        const round = (value) => (value === null ? null : Math.round(value));
+        
+        return {
+            transport: this.getActiveTransport(),
+            width: encoding.width,
+            height: encoding.height,
+            jpeg_quality: encoding.quality,
+            fps: this.frameScheduler ? this.frameScheduler.fps : (this.avgFrameIntervalMs ? Math.round(10000 / this.avgFrameIntervalMs) / 10 : null),
+            rtt_ms: round(this.avgRttMs),
+            frame_kb: this.avgFrameBytes === null ? null : Math.round(this.avgFrameBytes / 102.4) / 10,
+            bandwidth_kbps: round(kbps),
+            budget_kbps: this.bandwidthBudgetKbps,
+            in_flight: this.framesInFlight,
+            dropped_frames: this.droppedFrames
+        };
+    }
+    
+    handleFrameResult(result) {
+        if (result.success) {
+            // Handle focus change
+            if (result.is_focused !== this.lastFocusState) {
+                this.lastFocusState = result.is_focused;
+                this.onFocusChange(result.is_focused);
+            }
+            
+            // Update metrics
+            if (result.metrics) {
+                this.metrics = result.metrics;
+                this.onMetricsUpdate({ ...result.metrics, stream: this.getStreamSettings() });
+            }
+            
+            // Countdown update
+            if (result.countdown_active) {
+                this.onCountdownUpdate(result.countdown_remaining);
+            }
+            
+            // Pass annotated frame if available
+            this.onFrameProcessed({
+                annotatedFrame: result.annotated_frame,
+                isFocused: result.is_focused,
+                trackingState: result.tracking_state,
+                metrics: result.metrics
+            });
         }
     }
     
     async stopTracking() {
         this.isTracking = false;
         
-        if (this.frameInterval) {
-            clearInterval(this.frameInterval);
-            this.frameInterval = null;
+        if (this.frameScheduler) {
+            this.frameScheduler.stop();
+            this.frameScheduler = null;
         }
         
         try {
-            const response = await fetch(`${this.serverUrl}/api/stop_tracking`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ session_id: this.sessionId })
-            });
-            
-            const data = await response.json();
-            console.log('Tracking stopped. Final metrics:', data.final_metrics);
-            return data.final_metrics;
+            return await this.endSession();
         } catch (error) {
             this.onError('Error stopping tracking: ' + error.message);
             return this.metrics;
         }
     }
     
+    // Close the server session and return its final metrics
+    async endSession() {
+        this.isTracking = false;
+        this.closeFrameSocket();
+        
+        const response = await fetch(`${this.serverUrl}/api/stop_tracking`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ session_id: this.sessionId })
+        });
+        
+        const data = await response.json();
+        console.log('Tracking stopped. Final metrics:', data.final_metrics);
+        return data.final_metrics;
+    }
+    
     destroy() {
         this.stopTracking();
         
@@ -224,6 +488,16 @@ class WebcamTracker {
     }
 }
 
+// Frame size and JPEG quality steps - adjustEncoding() moves one step at a time
+WebcamTracker.ENCODING_LEVELS = [
+    { width: 640, height: 480, quality: 0.7 },
+    { width: 640, height: 480, quality: 0.55 },
+    { width: 480, height: 360, quality: 0.6 },
+    { width: 480, height: 360, quality: 0.45 },
+    { width: 320, height: 240, quality: 0.5 },
+    { width: 320, height: 240, quality: 0.4 }
+];
+
 // Export for module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = WebcamTracker;
@@ -15,6 +15,12 @@ from flask import Flask, jsonify, request
 from flask_cors import CORS
 import logging
 
+# WebSocket frame streaming is optional - without flask-sock clients send frames over HTTP
+try:
+    from flask_sock import Sock
+except ImportError:
+    Sock = None
+
 # Custom JSON encoder for NumPy types
 class NumpyEncoder(json.JSONEncoder):
     def default(self, obj):
@@ -54,8 +60,27 @@ class ClientSession:
         self.countdown_duration = 2
         self.tracking_state = "idle"
         self.latest_annotated_frame = None
+        # Edge mode (process_features) - state the browser's focus rules carry between frames
+        self.closed_eye_frames = 0
+        self.gaze_history = []
 
 class EyeTrackingService:
+    # Edge mode decisions (process_features) - the browser tracker's defaults: gaze ratio distance from
+    # center, EAR, head pose degrees, gaze path over the last frames (seconds, ratio)
+    FEATURE_THRESHOLDS = {
+        'max_gaze_x': 0.20,
+        'max_gaze_y': 0.25,
+        'blink_ear': 0.18,
+        'closed_frames_for_unfocus': 10,
+        'max_yaw': 25,
+        'max_pitch': 20,
+        'max_roll': 25,
+        'min_pose_confidence': 0.5,
+        'gaze_history_length': 5,
+        'gaze_history_max_gap': 0.5,
+        'rapid_movement': 0.15
+    }
+
     def __init__(self):
         self.gaze = None
         self.sessions = {}  # Store sessions by session_id
@@ -138,14 +163,18 @@ class EyeTrackingService:
             return self.sessions.get(session_id)
 
     def decode_frame(self, frame_data):
-        """Decode base64 frame data to numpy array"""
+        """Decode frame data (base64/data URL string or raw JPEG bytes) to numpy array"""
         try:
-            # Remove data URL prefix if present
-            if ',' in frame_data:
-                frame_data = frame_data.split(',')[1]
-            
-            # Decode base64
-            frame_bytes = base64.b64decode(frame_data)
+            if isinstance(frame_data, (bytes, bytearray)):
+                # Binary frame from the WebSocket stream
+                frame_bytes = bytes(frame_data)
+            else:
+                # Remove data URL prefix if present
+                if ',' in frame_data:
+                    frame_data = frame_data.split(',')[1]
+                
+                # Decode base64
+                frame_bytes = base64.b64decode(frame_data)
             
             # Convert to numpy array
             nparr = np.frombuffer(frame_bytes, np.uint8)
@@ -171,16 +200,7 @@ class EyeTrackingService:
         
         session.last_frame_time = time.time()
         session.frames_processed += 1
-        
-        # Handle countdown
-        if session.countdown_active:
-            elapsed = time.time() - session.countdown_start_time
-            if elapsed >= session.countdown_duration:
-                session.countdown_active = False
-                session.is_tracking = True
-                session.tracking_state = "tracking"
-                session.session_start_time = time.time()
-                logger.info(f"Session {session_id}: Countdown complete, tracking started")
+        self.advance_countdown(session_id, session)
         
         # Process gaze if tracking
         is_focused = False
@@ -203,13 +223,145 @@ class EyeTrackingService:
         except Exception as e:
             logger.warning(f"Error creating annotated frame: {e}")
         
+        result = self.build_result(session, is_focused)
+        result['annotated_frame'] = f"data:image/jpeg;base64,{annotated_frame_b64}" if annotated_frame_b64 else None
+        return result
+
+    def process_features(self, session_id, features):
+        """Process a landmark feature vector from the client (edge mode - no image is sent)"""
+        session = self.sessions.get(session_id)
+        if not session:
+            return {'success': False, 'error': 'Session not found'}
+        
+        session.last_frame_time = time.time()
+        session.frames_processed += 1
+        self.advance_countdown(session_id, session)
+        
+        is_focused = False
+        reason = None
+        if session.is_tracking:
+            is_focused, reason = self.analyze_features(session, features)
+            self.update_focus_state(session, is_focused)
+        
+        result = self.build_result(session, is_focused)
+        result['unfocus_reason'] = reason
+        return result
+
+    def analyze_features(self, session, features):
+        """Focus decision ported from the browser tracker's getUnfocusReason() - same rules and defaults
+        The browser sends smoothed features with head pose relative to the student's calibrated baseline,
+        plus the student's focus bounds; the fixed gaze box is only used when those are missing.
+        Closed-eye frames and the recent gaze path are kept per session, as the browser keeps them per page.
+        Returns (is_focused, unfocus_reason)"""
+        thresholds = self.FEATURE_THRESHOLDS
+        
+        gaze_x = features.get('gaze_x')
+        gaze_y = features.get('gaze_y')
+        if not features.get('face_count') or gaze_x is None or gaze_y is None:
+            session.gaze_history = []
+            return False, 'no_face'
+        
+        self.record_gaze_sample(session, gaze_x, gaze_y)
+        
+        # Eyes closed for a blink stay focused; only a long closure counts
+        ear = features.get('ear')
+        eyes_open = ear is None or ear >= thresholds['blink_ear']
+        if eyes_open:
+            session.closed_eye_frames = 0
+        else:
+            session.closed_eye_frames += 1
+            if session.closed_eye_frames >= thresholds['closed_frames_for_unfocus']:
+                return False, 'eyes_closed'
+        
+        looking_away = self.is_rapid_gaze_movement(session.gaze_history)
+        head_facing = self.is_head_facing_screen(features)
+        h_min, h_max, v_min, v_max = self.gaze_bounds(features.get('bounds'))
+        gaze_in_bounds = h_min <= gaze_x <= h_max and v_min <= gaze_y <= v_max
+        
+        # In bounds counts even with the head turned as long as the eyes are open
+        if gaze_in_bounds and ((head_facing and not looking_away) or eyes_open):
+            return True, None
+        
+        # Most specific cause first (a turned head also moves the gaze out of bounds)
+        if not head_facing:
+            return False, 'head_turned'
+        if looking_away:
+            return False, 'looking_away'
+        return False, 'gaze_out_of_bounds'
+
+    def is_head_facing_screen(self, features):
+        """An unreliable pose fit says nothing about where the head points"""
+        thresholds = self.FEATURE_THRESHOLDS
+        if (features.get('pose_confidence') or 0) < thresholds['min_pose_confidence']:
+            return True
+        return (abs(features.get('yaw') or 0) <= thresholds['max_yaw'] and
+                abs(features.get('pitch') or 0) <= thresholds['max_pitch'] and
+                abs(features.get('roll') or 0) <= thresholds['max_roll'])
+
+    def record_gaze_sample(self, session, gaze_x, gaze_y):
+        """Short gaze path for is_rapid_gaze_movement() - a gap between frames starts it over"""
+        thresholds = self.FEATURE_THRESHOLDS
+        now = time.time()
+        if session.gaze_history and now - session.gaze_history[-1][2] > thresholds['gaze_history_max_gap']:
+            session.gaze_history = []
+        session.gaze_history.append((gaze_x, gaze_y, now))
+        session.gaze_history = session.gaze_history[-thresholds['gaze_history_length']:]
+
+    def is_rapid_gaze_movement(self, history):
+        """A quick move toward a screen edge across the short gaze history"""
+        if len(history) < 2:
+            return False
+        
+        previous_x, previous_y, _ = history[0]
+        current_x, current_y, _ = history[-1]
+        delta_x = abs(current_x - previous_x)
+        delta_y = abs(current_y - previous_y)
+        movement = (delta_x ** 2 + delta_y ** 2) ** 0.5
+        
+        moving_away_from_center = (
+            (current_x < 0.3 and delta_x > 0.05 and current_x < previous_x) or
+            (current_x > 0.7 and delta_x > 0.05 and current_x > previous_x) or
+            (current_y < 0.2 and delta_y > 0.05 and current_y < previous_y) or
+            (current_y > 0.8 and delta_y > 0.05 and current_y > previous_y)
+        )
+        return movement > self.FEATURE_THRESHOLDS['rapid_movement'] and moving_away_from_center
+
+    def gaze_bounds(self, bounds):
+        """Client focus bounds (horizontal_min/max, vertical_min/max) if usable, else the default box"""
+        thresholds = self.FEATURE_THRESHOLDS
+        default = (0.5 - thresholds['max_gaze_x'], 0.5 + thresholds['max_gaze_x'],
+                   0.5 - thresholds['max_gaze_y'], 0.5 + thresholds['max_gaze_y'])
+        if not isinstance(bounds, dict):
+            return default
+        
+        keys = ('horizontal_min', 'horizontal_max', 'vertical_min', 'vertical_max')
+        values = [bounds.get(key) for key in keys]
+        if not all(isinstance(value, (int, float)) and not isinstance(value, bool) for value in values):
+            return default
+        h_min, h_max, v_min, v_max = values
+        if h_min >= h_max or v_min >= v_max:
+            return default
+        return h_min, h_max, v_min, v_max
+
+    def advance_countdown(self, session_id, session):
+        """End the start countdown once it has run"""
+        if session.countdown_active:
+            elapsed = time.time() - session.countdown_start_time
+            if elapsed >= session.countdown_duration:
+                session.countdown_active = False
+                session.is_tracking = True
+                session.tracking_state = "tracking"
+                session.session_start_time = time.time()
+                logger.info(f"Session {session_id}: Countdown complete, tracking started")
+
+    def build_result(self, session, is_focused):
+        """Per-frame response shared by frames and feature vectors"""
         return {
             'success': True,
             'is_focused': bool(is_focused),
             'tracking_state': session.tracking_state,
             'countdown_active': session.countdown_active,
             'countdown_remaining': max(0, session.countdown_duration - (time.time() - session.countdown_start_time)) if session.countdown_start_time else 0,
-            'annotated_frame': f"data:image/jpeg;base64,{annotated_frame_b64}" if annotated_frame_b64 else None,
             'metrics': self.get_session_metrics(session)
         }
 
@@ -351,6 +503,22 @@ CORS(app, origins=["*"])  # Allow all origins for cloud deployment
 # Global tracker instance
 eye_tracker = EyeTrackingService()
 
+# Wire protocol reported by /api/health - clients check it before using a service
+# 1: server-side camera (eye_tracking_service_simple.py), 2: frames or features from the browser
+PROTOCOL_VERSION = 2
+
+def get_capabilities():
+    """Endpoints, frame formats and features this service offers"""
+    capabilities = {
+        'endpoints': sorted(rule.rule for rule in app.url_map.iter_rules() if rule.rule.startswith(('/api/', '/ws/'))),
+        'frame_formats': ['jpeg-base64'],    # JSON body of /api/process_frame
+        'features': ['client-webcam', 'edge-features']
+    }
+    if Sock:
+        capabilities['frame_formats'].append('jpeg-binary')  # /ws/frames messages
+        capabilities['features'].append('websocket-frames')
+    return capabilities
+
 @app.route('/api/start_tracking', methods=['POST'])
 def start_tracking():
     """Start eye tracking session"""
@@ -398,6 +566,46 @@ def process_frame():
     result = eye_tracker.process_frame(session_id, frame_data)
     return jsonify(result)
 
+@app.route('/api/process_features', methods=['POST'])
+def process_features():
+    """Focus decision from landmark features computed in the browser (edge mode)"""
+    data = request.get_json(silent=True) or {}
+    session_id = data.get('session_id')
+    features = data.get('features')
+    
+    if not session_id or not isinstance(features, dict):
+        return jsonify({'success': False, 'error': 'Missing session_id or features'}), 400
+    
+    result = eye_tracker.process_features(session_id, features)
+    return jsonify(result)
+
+if Sock:
+    sock = Sock(app)
+
+    @sock.route('/ws/frames')
+    def frame_stream(ws):
+        """Stream frames over one connection (js/frame-socket.js)
+        Each binary message is a 4-byte big-endian sequence number followed by a JPEG; each result
+        is sent back as JSON with the same seq so the client can drop late ones."""
+        session_id = request.args.get('session_id')
+        if not session_id or session_id not in eye_tracker.sessions:
+            ws.send(json.dumps({'success': False, 'error': 'Session not found'}))
+            return
+
+        logger.info(f"Frame stream opened for session {session_id}")
+        while True:
+            message = ws.receive()
+            if message is None:
+                break
+            if not isinstance(message, (bytes, bytearray)) or len(message) <= 4:
+                continue
+
+            seq = int.from_bytes(message[:4], 'big')
+            result = eye_tracker.process_frame(session_id, message[4:])
+            result['seq'] = seq
+            ws.send(json.dumps(result, cls=NumpyEncoder))
+        logger.info(f"Frame stream closed for session {session_id}")
+
 @app.route('/api/status', methods=['GET'])
 def get_status():
     """Get session status"""
@@ -426,8 +634,10 @@ def health_check():
     return jsonify({
         'success': True,
         'message': 'Cloud Eye Tracking Service is running',
-        'version': '3.0.0',
+        'version': '3.1.0',
         'mode': 'client-webcam',
+        'protocol': PROTOCOL_VERSION,
+        'capabilities': get_capabilities(),
         'active_sessions': len(eye_tracker.sessions),
         'timestamp': datetime.now().isoformat()
     })
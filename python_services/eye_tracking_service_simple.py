@@ -540,6 +540,18 @@ CORS(app)
 # Global tracker
 eye_tracker = SimpleEyeTrackingService()
 
+# Wire protocol reported by /api/health - this service reads its own camera, so browser clients
+# that send frames (protocol 2, eye_tracking_service.py) can't use it
+PROTOCOL_VERSION = 1
+
+def get_capabilities():
+    """Endpoints, frame formats and features this service offers"""
+    return {
+        'endpoints': sorted(rule.rule for rule in app.url_map.iter_rules() if rule.rule.startswith('/api/')),
+        'frame_formats': [],  # Frames come from the server's webcam, not from clients
+        'features': ['server-camera']
+    }
+
 @app.route('/api/start_tracking', methods=['POST'])
 def start_tracking():
     """Start tracking API"""
@@ -610,6 +622,9 @@ def health_check():
             'success': True, 
             'message': 'Simple Eye Tracking Service is running',
             'version': '1.0.0',
+            'mode': 'server-camera',
+            'protocol': PROTOCOL_VERSION,
+            'capabilities': get_capabilities(),
             'status': eye_tracker.tracking_state,
             'timestamp': datetime.now().isoformat()
         })
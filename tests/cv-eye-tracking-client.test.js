@@ -0,0 +1,118 @@
+/**
+ * CVEyeTrackingSystem focus decisions, run in Node without a camera or DOM
+ * Frames go straight into applyFaceFeatures() - the path detector results take after smoothing,
+ * which these tests turn off.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, CVEyeTrackingSystem } = require('./helpers/load-tracker');
+const AdaptiveFrameScheduler = load('js/adaptive-frame-scheduler.js');
+
+function createTracker() {
+    // Dormant mode skips init() - no camera, no backend; unsmoothed so each frame's gaze is exact
+    const tracker = new CVEyeTrackingSystem('dormant_mode', null, { smoothing: { method: 'none' } });
+    tracker.state = 'tracking';
+    return tracker;
+}
+
+function frame(x, y) {
+    return {
+        gazeDirection: { x, y },
+        headPose: { yaw: 0, pitch: 0, roll: 0, confidence: 1 },
+        eyeAspectRatio: { left: 0.3, right: 0.3, average: 0.3 }
+    };
+}
+
+function lookAt(tracker, x, y, frames) {
+    for (let i = 0; i < frames; i++) {
+        tracker.applyFaceFeatures(frame(x, y));
+    }
+}
+
+test('a quick glance off the screen is recorded as looking_away', () => {
+    const tracker = createTracker();
+    const changes = [];
+    tracker.on('focuschange', (detail) => changes.push(detail));
+
+    lookAt(tracker, 0.5, 0.5, 10);
+    assert.strictEqual(tracker.isFocused, true);
+
+    lookAt(tracker, 0.95, 0.5, 5);
+    assert.strictEqual(tracker.isFocused, false);
+    assert.strictEqual(changes[changes.length - 1].reason, 'looking_away');
+    assert.strictEqual(tracker.unfocusReasonCounts.looking_away, 1);
+});
+
+test('a slow drift off the screen is not looking_away', () => {
+    const tracker = createTracker();
+    lookAt(tracker, 0.5, 0.5, 10);
+
+    for (let x = 0.52; x <= 0.9; x += 0.02) {
+        lookAt(tracker, x, 0.5, 1);
+    }
+    lookAt(tracker, 0.9, 0.5, 5);
+
+    assert.strictEqual(tracker.isFocused, false);
+    assert.strictEqual(tracker.lastUnfocusReason, 'gaze_out_of_bounds');
+    assert.strictEqual(tracker.unfocusReasonCounts.looking_away, 0);
+});
+
+test('a quick glance away lowers the movement attention factor', () => {
+    const tracker = createTracker();
+    lookAt(tracker, 0.5, 0.5, 10);
+    assert.strictEqual(tracker.getAttentionFactors().movement, 1);
+
+    lookAt(tracker, 0.95, 0.5, 1);
+    assert.strictEqual(tracker.getAttentionFactors().movement, 0.6);
+
+    // Once the glance has left the history the gaze is simply out of bounds
+    lookAt(tracker, 0.95, 0.5, tracker.gazeHistoryMaxLength);
+    assert.strictEqual(tracker.getAttentionFactors().movement, 1);
+});
+
+test('gaze history is capped and restarts after losing the face', () => {
+    const tracker = createTracker();
+    lookAt(tracker, 0.5, 0.5, 20);
+    assert.strictEqual(tracker.gazeHistory.length, tracker.gazeHistoryMaxLength);
+
+    tracker.handleNoFaceDetected();
+    assert.strictEqual(tracker.gazeHistory.length, 0);
+});
+
+test('a service backend over its bandwidth budget caps the frame rate', async () => {
+    const tracker = createTracker();
+    let backendMaxFps = 3;
+    tracker.backend = { detect: async () => null, getMaxFps: () => backendMaxFps };
+    tracker.video = {};
+    tracker.isProcessingFrames = true;
+    tracker.frameScheduler = new AdaptiveFrameScheduler(() => {}, tracker.frameRateConfig);
+
+    await tracker.processFrame();
+    assert.strictEqual(tracker.frameScheduler.getMaxFps(), 3);
+    assert.strictEqual(tracker.frameScheduler.fps, 3);
+
+    backendMaxFps = null;
+    await tracker.processFrame();
+    assert.strictEqual(tracker.frameScheduler.getMaxFps(), tracker.frameRateConfig.maxFps);
+});
+
+test('pausing while already unfocused starts a page_hidden interval', () => {
+    const tracker = createTracker();
+    const now = Date.now();
+    tracker.timers.sessionStart = now;
+    tracker.timers.currentUnfocusStart = now;
+    tracker.focusTimeline.startSection(tracker.sectionId, now);
+
+    lookAt(tracker, 0.5, 0.5, 10);
+    lookAt(tracker, 0.95, 0.5, 10);
+    assert.strictEqual(tracker.isFocused, false);
+    assert.strictEqual(tracker.lastUnfocusReason, 'looking_away');
+
+    assert.strictEqual(tracker.pause('page_hidden'), true);
+    const intervals = tracker.focusTimeline.getSummary().focus_timeline;
+    assert.strictEqual(intervals[intervals.length - 1].reason, 'page_hidden');
+    assert.strictEqual(tracker.lastUnfocusReason, 'page_hidden');
+    assert.strictEqual(tracker.unfocusReasonCounts.page_hidden, 1);
+    assert.strictEqual(tracker.timers.isCurrentlyFocused, false);
+});
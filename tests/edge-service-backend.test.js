@@ -0,0 +1,99 @@
+/**
+ * python-edge: what the service is asked to decide on, and when the tracker decides itself
+ * The service is replaced by a stub WebcamTracker - only sendFeatures() is used.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { load, CVEyeTrackingSystem } = require('./helpers/load-tracker');
+const { EdgeServiceBackend } = load('user/js/detector-backends.js');
+
+function createBackend(reply) {
+    const backend = new EdgeServiceBackend({});
+    backend.sent = [];
+    backend.transport = {
+        sendFeatures: async (features) => {
+            backend.sent.push(features);
+            return reply;
+        }
+    };
+    return backend;
+}
+
+function detection(x, y, yaw = 0) {
+    return {
+        faceCount: 1,
+        features: {
+            gazeDirection: { x, y },
+            headPose: { yaw, pitch: 0, roll: 0, confidence: 1 },
+            eyeAspectRatio: { left: 0.3, right: 0.3, average: 0.3 }
+        }
+    };
+}
+
+const tracking = { success: true, tracking_state: 'tracking', is_focused: true };
+
+test('a calibrated student is judged against their own bounds and head pose baseline', async () => {
+    const tracker = new CVEyeTrackingSystem('dormant_mode', null, {});
+    tracker.calibration = {
+        thresholds: { horizontalMin: 0.35, horizontalMax: 0.8, verticalMin: 0.3, verticalMax: 0.7 },
+        headPoseBaseline: { yaw: 10, pitch: 0, roll: 0 }
+    };
+    const backend = createBackend(tracking);
+
+    assert.deepStrictEqual(await backend.decide(tracker.getFocusObservation(detection(0.75, 0.5, 12))),
+        { isFocused: true, unfocusReason: null });
+
+    const sent = backend.sent[0];
+    assert.deepStrictEqual(sent.bounds, { horizontal_min: 0.35, horizontal_max: 0.8, vertical_min: 0.3, vertical_max: 0.7 });
+    assert.strictEqual(sent.yaw, 2);
+    assert.strictEqual(sent.gaze_x, 0.75);
+});
+
+test('an uncalibrated student gets the default focus box', async () => {
+    const tracker = new CVEyeTrackingSystem('dormant_mode', null, {});
+    const backend = createBackend(tracking);
+
+    await backend.decide(tracker.getFocusObservation(detection(0.5, 0.5)));
+    assert.deepStrictEqual(backend.sent[0].bounds, { horizontal_min: 0.3, horizontal_max: 0.7, vertical_min: 0.25, vertical_max: 0.75 });
+});
+
+test('the service\'s unfocus cause is the one counted', () => {
+    const tracker = new CVEyeTrackingSystem('dormant_mode', null, { smoothing: { method: 'none' } });
+    tracker.state = 'tracking';
+    const { features } = detection(0.5, 0.5);
+
+    for (let i = 0; i < 10; i++) {
+        tracker.applyFaceFeatures(features, true, null);
+    }
+    // In bounds with open eyes locally, but the service has counted enough closed-eye frames
+    for (let i = 0; i < 10; i++) {
+        tracker.applyFaceFeatures(features, false, 'eyes_closed');
+    }
+
+    assert.strictEqual(tracker.isFocused, false);
+    assert.strictEqual(tracker.lastUnfocusReason, 'eyes_closed');
+    assert.strictEqual(tracker.unfocusReasonCounts.eyes_closed, 1);
+});
+
+test('no face is reported without gaze', async () => {
+    const tracker = new CVEyeTrackingSystem('dormant_mode', null, {});
+    const backend = createBackend(tracking);
+
+    await backend.decide(tracker.getFocusObservation({ faceCount: 0, features: null }));
+    assert.deepStrictEqual(backend.sent[0], { face_count: 0 });
+});
+
+test('the local thresholds decide during the countdown or when the service is down', async () => {
+    const tracker = new CVEyeTrackingSystem('dormant_mode', null, {});
+    const observation = tracker.getFocusObservation(detection(0.5, 0.5));
+
+    const counting = createBackend({ success: true, tracking_state: 'countdown', is_focused: false });
+    assert.strictEqual(await counting.decide(observation), null);
+
+    const offline = createBackend(null);
+    offline.transport.sendFeatures = async () => {
+        throw new Error('Failed to fetch');
+    };
+    assert.strictEqual(await offline.decide(observation), null);
+});
@@ -0,0 +1,22 @@
+/**
+ * Loads CVEyeTrackingSystem into Node
+ * The tracker is a classic browser script - its dependencies are globals there, so they are set up
+ * here once for every test file.
+ */
+
+const path = require('path');
+
+const load = (file) => require(path.join(__dirname, '..', '..', file));
+
+global.ResourceRegistry = load('js/resource-registry.js');
+global.SaveOutbox = load('js/save-outbox.js');
+Object.assign(global, load('user/js/signal-filters.js'));
+global.EyeFeatureExtractor = load('user/js/eye-feature-extractor.js');
+global.GazeElementTracker = load('user/js/gaze-element-tracker.js');
+global.GazeEventClassifier = load('user/js/gaze-event-classifier.js');
+global.ReadingDetector = load('user/js/reading-detector.js');
+global.FocusTimeline = load('user/js/focus-timeline.js');
+global.AttentionScorer = load('user/js/attention-scorer.js');
+const { CVEyeTrackingSystem } = load('user/js/cv-eye-tracking-client.js');
+
+module.exports = { load, CVEyeTrackingSystem };
@@ -182,9 +182,7 @@ function timeAgo($timestamp) {
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>EyeLearn - AI-Enhanced E-Learning System</title>
     <script src="https://cdn.tailwindcss.com"></script>
-  
-            <!-- Enhanced CV Eye Tracking System -->
-        <script src="js/cv-eye-tracking.js?service_reconnect_<?php echo time(); ?>"></script>
+
     <script>
         tailwind.config = {
             theme: {
@@ -464,13 +462,6 @@ function timeAgo($timestamp) {
             
                 
         <main id="main-content" class="main-content flex-1 p-3 sm:p-4 md:p-6 transition-all duration-300">
-    <!-- Live Feed Box (Hidden by default, shown when tracking) -->
-    <div id="live-feed-container" class="hidden sm:block" style="position: fixed; top: 80px; right: 20px; z-index: 1000; background: white; border: 1px solid #e5e7eb; border-radius: 6px; padding: 8px; box-shadow: 0 1px 2px rgba(0,0,0,0.1); display: none;">
-        <h4 style="margin: 0 0 8px 0; font-size: 13px; color: #3B82F6;">Live Camera Feed</h4>
-        <img id="tracking-video" alt="Camera feed will appear here" style="width: 320px; height: 240px; background-color: #000; border-radius: 4px;">
-        <button onclick="stopModuleTracking()" style="width: 100%; margin-top: 8px; padding: 4px; background: #dc3545; color: white; border: none; border-radius: 4px; cursor: pointer;">Stop Tracking</button>
-    </div>
-    
     <div class="container mx-auto px-2 sm:px-4">
         <div class="flex justify-between items-center mb-3 border-b border-gray-200 pb-2">
             <h1 class="text-xl sm:text-2xl font-bold text-gray-900">Learning Modules</h1>
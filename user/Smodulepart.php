@@ -1037,13 +1037,34 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
     <link rel="stylesheet" href="../src/output.css">
     
     <!-- TensorFlow.js and MediaPipe FaceMesh for client-side eye tracking -->
+    <?php if (EYE_TRACKING_ASSET_URL === ''): ?>
     <script src="https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh"></script>
     <script src="https://cdn.jsdelivr.net/npm/@mediapipe/camera_utils"></script>
+    <?php endif; ?>
     
     <script>
-        const currentCompletionPercentage = <?php echo json_encode($completion_percentage); ?>; //Tofu: pass completion percentage
+        let currentCompletionPercentage = <?php echo json_encode($completion_percentage); ?>; //Tofu: pass completion percentage (updated by in-page section loads)
+        window.currentUserId = <?php echo json_encode($user_id); ?>; // Keys per-user gaze calibration
     </script>
     <!-- Client-side eye tracking (no Python backend required) -->
+    <script src="../js/adaptive-frame-scheduler.js?v=<?php echo time(); ?>"></script>
+    <script src="../js/save-outbox.js?v=<?php echo time(); ?>"></script>
+    <script src="../js/resource-registry.js?v=<?php echo time(); ?>"></script>
+    <script src="js/head-pose-estimator.js?v=<?php echo time(); ?>"></script>
+    <script src="js/eye-feature-extractor.js?v=<?php echo time(); ?>"></script>
+    <script src="js/signal-filters.js?v=<?php echo time(); ?>"></script>
+    <script src="js/model-asset-loader.js?v=<?php echo time(); ?>"></script>
+    <script src="js/gaze-element-tracker.js?v=<?php echo time(); ?>"></script>
+    <script src="js/gaze-event-classifier.js?v=<?php echo time(); ?>"></script>
+    <script src="js/reading-detector.js?v=<?php echo time(); ?>"></script>
+    <script src="js/focus-timeline.js?v=<?php echo time(); ?>"></script>
+    <script src="js/attention-scorer.js?v=<?php echo time(); ?>"></script>
+    <?php if (in_array(EYE_TRACKING_BACKEND, ['python-service', 'python-edge'], true)): ?>
+    <script src="../js/service-discovery.js?v=<?php echo time(); ?>"></script>
+    <script src="../js/frame-socket.js?v=<?php echo time(); ?>"></script>
+    <script src="../js/webcam-tracker.js?v=<?php echo time(); ?>"></script>
+    <?php endif; ?>
+    <script src="js/detector-backends.js?v=<?php echo time(); ?>"></script>
     <script src="js/cv-eye-tracking-client.js?v=<?php echo time(); ?>"></script>
     <script>
         // Checkpoint Quiz Handler - Define early so it's available for inline onclick
@@ -1902,7 +1923,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
         
         <!-- Module Sidebar -->
         <div id="sidebar" class="sidebar fixed left-0 top-16 h-full shadow-lg z-40 flex flex-col transition-all duration-300 ease-in-out">
-            <div class="p-3 border-b border-gray-200">
+            <div id="sidebar-progress" class="p-3 border-b border-gray-200" data-completion-percentage="<?php echo $completion_percentage; ?>">
                 <h2 class="text-lg font-bold text-gray-900 mb-2"><?php echo !empty($modules) ? htmlspecialchars(reset($modules)['title']) : 'Learning Content'; ?></h2>
                 <div class="flex items-center justify-between mt-2">
                     <span class="text-xs font-medium text-gray-500">Progress</span>
@@ -2373,55 +2394,6 @@ if ($_SERVER['REQUEST_METHOD'] === 'POST') {
                             </svg>
                         </a>
                     <?php endif; ?> 
-                    
-                        <script>
-                           // Replace the Progress tracking functionality section
-                            document.addEventListener('DOMContentLoaded', () => {
-                                const nextBtn = document.getElementById('next-section-btn');
-
-                                if (!nextBtn) return;
-
-                                nextBtn.addEventListener('click', function(e) {
-                                    e.preventDefault();
-                                    console.log("Button clicked!");
-
-                                    const sectionId = this.dataset.sectionId;
-                                    const nextUrl = this.dataset.nextUrl;
-                                    // const finalQuizUrl = this.dataset.finalQuizUrl;
-                                    let isCompleted = this.dataset.completed === '1';
-
-                                    if (!sectionId || isCompleted) {
-                                        // Already completed → just navigate
-                                        window.location.href = nextUrl;
-                                        return;
-                                    }
-
-                                    // Disable button while processing
-                                    this.disabled = true;
-                                    this.style.opacity = '0.5';
-
-                                    // Send completion to server
-                                    fetch(window.location.href, {
-                                        method: 'POST',
-                                        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-                                        body: `section_completed=1&section_id=${sectionId}`
-                                    })
-                                    .then(res => res.json())
-                                    .then(data => {
-                                        // After marking complete, navigate to next section or final quiz
-                                        window.location.href = nextUrl; 
-                                    })
-                                .catch(err => {
-                                    console.error('Error completing section:', err);
-                                    setTimeout(() => {
-                                        location.reload();
-                                    }, 2000);
-                                    // Still navigate even if request fails
-                                    window.location.href = nextUrl;
-                                });
-                            });
-                        });
-                        </script>
                 </div>
             </div>
         <?php else: ?>
@@ -3385,20 +3357,32 @@ document.addEventListener('DOMContentLoaded', async function() {
     
     const moduleId = <?php echo json_encode($selected_module_id); ?>;
     const sectionId = <?php echo json_encode($selected_section_id ?? null); ?>;
+    // Watch for a second person in front of the camera during quizzes
+    const trackerOptions = {
+        detectMultipleFaces: <?php echo json_encode(!empty($selected_quiz_id) || !empty($selected_checkpoint_quiz_id)); ?>,
+        // Offline deployments serve the FaceMesh model files themselves
+        assetBaseUrl: <?php echo json_encode(EYE_TRACKING_ASSET_URL ?: null); ?>,
+        // Per-element dwell time on the section content
+        contentSelector: '.module-content',
+        // Detector backend and, for the Python service, the URLs it may run at (first healthy one is used)
+        backend: <?php echo json_encode(EYE_TRACKING_BACKEND); ?>,
+        serviceUrl: <?php echo json_encode(EYE_TRACKING_SERVICE_URLS); ?>,
+        userId: window.currentUserId
+    };
     
     // Small delay to ensure TensorFlow.js is fully loaded
     setTimeout(() => {
         try {
             // Initialize client-side eye tracking (CVEyeTrackingSystem from cv-eye-tracking-client.js)
             if (typeof CVEyeTrackingSystem !== 'undefined') {
-                window.eyeTracker = new CVEyeTrackingSystem(moduleId, sectionId);
+                window.eyeTracker = new CVEyeTrackingSystem(moduleId, sectionId, trackerOptions);
                 console.log('✅ Client-side eye tracking initialized');
             } else {
                 console.warn('⚠️ CVEyeTrackingSystem not loaded yet, retrying...');
                 // Retry after additional delay
                 setTimeout(() => {
                     if (typeof CVEyeTrackingSystem !== 'undefined') {
-                        window.eyeTracker = new CVEyeTrackingSystem(moduleId, sectionId);
+                        window.eyeTracker = new CVEyeTrackingSystem(moduleId, sectionId, trackerOptions);
                         console.log('✅ Client-side eye tracking initialized (retry)');
                     } else {
                         console.error('❌ CVEyeTrackingSystem could not be loaded');
@@ -3411,11 +3395,142 @@ document.addEventListener('DOMContentLoaded', async function() {
     }, 500); // 500ms delay for TensorFlow.js to load
 });
 
-// Stop tracking when leaving page
-window.addEventListener('beforeunload', () => {
-    if (window.eyeTracker) {
-        window.eyeTracker.stopTracking();
+// The tracker sends its final save on pagehide itself (sendBeacon) - no beforeunload teardown needed
+
+// In-page section navigation - only the content is swapped, so the eye tracker keeps its camera and
+// model and switches to the new section (switchSection). Quiz pages bind their handlers on load and
+// still get a full page load.
+function isInPageSectionUrl(url) {
+    if (url.origin !== window.location.origin || url.pathname !== window.location.pathname) return false;
+    
+    const current = new URLSearchParams(window.location.search);
+    return url.searchParams.get('module_id') === current.get('module_id') &&
+        url.searchParams.has('section_id') && !url.searchParams.has('final_quiz');
+}
+
+async function openSection(href, pushHistory = true) {
+    const url = new URL(href, window.location.href);
+    const mainEl = document.getElementById('main-content');
+    
+    if (!isInPageSectionUrl(url) || !mainEl || mainEl.querySelector('form')) {
+        window.location.href = url.href;
+        return;
+    }
+    
+    try {
+        const response = await fetch(url.href, { credentials: 'same-origin' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+        const newMainEl = page.getElementById('main-content');
+        
+        if (!newMainEl || newMainEl.querySelector('form')) {
+            window.location.href = url.href;
+            return;
+        }
+        
+        mainEl.innerHTML = newMainEl.innerHTML;
+        syncSidebar(page);
+        document.title = page.title;
+        if (pushHistory) {
+            history.pushState({ sectionId: url.searchParams.get('section_id') }, '', url.href);
+        }
+        window.scrollTo(0, 0);
+        
+        if (window.eyeTracker && typeof window.eyeTracker.switchSection === 'function') {
+            window.eyeTracker.switchSection(url.searchParams.get('section_id'));
+        }
+    } catch (error) {
+        console.warn('⚠️ Could not load section in page - reloading:', error);
+        window.location.href = url.href;
+    }
+}
+
+// Active section, completion ticks and progress come from the freshly loaded page
+function syncSidebar(page) {
+    const items = document.querySelectorAll('#sidebar .section-item');
+    const newItems = page.querySelectorAll('#sidebar .section-item');
+    if (items.length === newItems.length) {
+        items.forEach((item, index) => {
+            item.className = newItems[index].className;
+            item.innerHTML = newItems[index].innerHTML;
+        });
+    }
+    
+    const progressEl = document.getElementById('sidebar-progress');
+    const newProgressEl = page.getElementById('sidebar-progress');
+    if (progressEl && newProgressEl) {
+        progressEl.innerHTML = newProgressEl.innerHTML;
+        currentCompletionPercentage = Number(newProgressEl.dataset.completionPercentage) || 0;
     }
+    
+    // Close the mobile sidebar like a page load would
+    document.getElementById('sidebar').classList.remove('mobile-visible');
+    document.getElementById('backdrop').classList.remove('active');
+}
+
+document.addEventListener('click', (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    
+    const link = e.target.closest('#sidebar a.section-item, #main-content a.nav-button');
+    if (!link || !isInPageSectionUrl(new URL(link.href, window.location.href))) return;
+    
+    e.preventDefault();
+    openSection(link.href);
+});
+
+window.addEventListener('popstate', () => {
+    openSection(window.location.href, false);
+});
+
+// "Next" / "Mark as Complete" - delegated, since the button is replaced on every in-page section load
+document.addEventListener('click', function(e) {
+    const nextBtn = e.target.closest('#next-section-btn');
+    if (!nextBtn) return;
+    
+    e.preventDefault();
+    console.log("Button clicked!");
+
+    const sectionId = nextBtn.dataset.sectionId;
+    const nextUrl = nextBtn.dataset.nextUrl;
+    let isCompleted = nextBtn.dataset.completed === '1';
+    
+    // No next section - reload so the quiz or completion state shows up
+    const goNext = () => {
+        if (nextUrl) {
+            openSection(nextUrl);
+        } else {
+            window.location.reload();
+        }
+    };
+
+    if (!sectionId || isCompleted) {
+        // Already completed → just navigate
+        goNext();
+        return;
+    }
+
+    // Disable button while processing
+    nextBtn.disabled = true;
+    nextBtn.style.opacity = '0.5';
+
+    // Send completion to server
+    fetch(window.location.href, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: `section_completed=1&section_id=${sectionId}`
+    })
+    .then(res => res.json())
+    .then(data => {
+        // After marking complete, navigate to next section or final quiz
+        goNext();
+    })
+    .catch(err => {
+        console.error('Error completing section:', err);
+        // Still navigate even if request fails
+        goNext();
+    });
 });
 </script>
 </body>
@@ -0,0 +1,62 @@
+<?php
+/**
+ * Idempotency keys for tracking saves sent through js/save-outbox.js
+ * The outbox retries until it gets an answer, so the same save can arrive more than once.
+ * Each key is applied once; later copies are acknowledged without touching the totals again.
+ * Keys are kept for SAVE_REQUEST_RETENTION_DAYS - a save still waiting in a student's outbox
+ * after that would be applied again.
+ */
+
+define('SAVE_REQUEST_RETENTION_DAYS', 30);
+
+function ensureSaveRequestsTable($conn) {
+    $conn->query("CREATE TABLE IF NOT EXISTS eye_tracking_save_requests (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        idempotency_key VARCHAR(64) NOT NULL,
+        endpoint VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_user_key (user_id, idempotency_key),
+        KEY idx_created_at (created_at)
+    ) ENGINE=InnoDB");
+}
+
+// Header first, JSON field as fallback; null when the client sent none (older pages)
+function getIdempotencyKey($input) {
+    $key = $_SERVER['HTTP_IDEMPOTENCY_KEY'] ?? ($input['idempotency_key'] ?? '');
+    return preg_match('/^[A-Za-z0-9_-]{8,64}$/', (string)$key) ? $key : null;
+}
+
+/**
+ * Record the key inside the caller's open transaction.
+ * Returns false when this save was already applied. If the caller rolls back,
+ * the key is released again so the client's retry goes through.
+ */
+function claimIdempotencyKey($conn, $user_id, $key, $endpoint) {
+    purgeSaveRequests($conn);
+
+    $stmt = $conn->prepare("INSERT IGNORE INTO eye_tracking_save_requests (user_id, idempotency_key, endpoint) VALUES (?, ?, ?)");
+    if (!$stmt) {
+        throw new Exception('Prepare failed: ' . $conn->error);
+    }
+    $stmt->bind_param('iss', $user_id, $key, $endpoint);
+    if (!$stmt->execute()) {
+        throw new Exception('Failed to record save request: ' . $stmt->error);
+    }
+    $claimed = $stmt->affected_rows === 1;
+    $stmt->close();
+    return $claimed;
+}
+
+// Old keys go as new ones come in, so the table holds about SAVE_REQUEST_RETENTION_DAYS of saves
+function purgeSaveRequests($conn) {
+    $stmt = $conn->prepare("DELETE FROM eye_tracking_save_requests WHERE created_at < NOW() - INTERVAL ? DAY");
+    if (!$stmt) {
+        throw new Exception('Prepare failed: ' . $conn->error);
+    }
+    $days = SAVE_REQUEST_RETENTION_DAYS;
+    $stmt->bind_param('i', $days);
+    $stmt->execute();
+    $stmt->close();
+}
+?>
@@ -1,5 +1,6 @@
 <?php
 require_once __DIR__ . '/../../config.php';
+require_once __DIR__ . '/idempotency.php';
 header('Content-Type: application/json');
 
 if (!isset($_SESSION['user_id'])) {
@@ -23,11 +24,24 @@ $time_spent = intval($input['time_spent'] ?? 0); // Time in seconds
 $session_type = $input['session_type'] ?? 'viewing'; // 'viewing', 'pause', 'resume'
 
 if ($module_id <= 0) {
+    http_response_code(400);
     echo json_encode(['success' => false, 'error' => 'Invalid module ID']);
     exit();
 }
 
+// time_spent is added to the total - a retried save must not add it twice
+$idempotency_key = getIdempotencyKey($input);
+ensureSaveRequestsTable($conn);
+$conn->begin_transaction();
+
 try {
+    if ($idempotency_key && !claimIdempotencyKey($conn, $user_id, $idempotency_key, 'save_eye_tracking_data')) {
+        $conn->rollback();
+        echo json_encode(['success' => true, 'duplicate' => true]);
+        $conn->close();
+        exit();
+    }
+    
     // Check if record exists for this session
     $check_query = "SELECT id, total_time_seconds FROM eye_tracking_sessions 
                    WHERE user_id = ? AND module_id = ? AND section_id = ? 
@@ -50,6 +64,7 @@ try {
         $update_stmt = $conn->prepare($update_query);
         $update_stmt->bind_param("ii", $new_total_time, $row['id']);
         $update_stmt->execute();
+        $conn->commit();
         
         echo json_encode(['success' => true, 'total_time' => $new_total_time]);
     } else {
@@ -60,11 +75,13 @@ try {
         $insert_stmt = $conn->prepare($insert_query);
         $insert_stmt->bind_param("iiiis", $user_id, $module_id, $section_id, $time_spent, $session_type);
         $insert_stmt->execute();
+        $conn->commit();
         
         echo json_encode(['success' => true, 'total_time' => $time_spent]);
     }
     
 } catch (Exception $e) {
+    $conn->rollback();
     echo json_encode(['success' => false, 'error' => 'Database error: ' . $e->getMessage()]);
 }
 
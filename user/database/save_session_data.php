@@ -3,6 +3,8 @@ header('Content-Type: application/json');
 
 // Use centralized config
 require_once __DIR__ . '/../../config.php';
+require_once __DIR__ . '/idempotency.php';
+require_once __DIR__ . '/session_totals.php';
 
 // Check if user is logged in
 if (!isset($_SESSION['user_id'])) {
@@ -37,10 +39,12 @@ if (!$input) {
     exit();
 }
 
+$in_transaction = false;
+
 try {
     $module_id = $input['module_id'] ?? null;
     $section_id = $input['section_id'] ?? null;
-    $session_time = $input['session_time'] ?? 0;
+    $session_time = intval($input['session_time'] ?? 0);
     $focus_data = $input['focus_data'] ?? [];
     
     // Extract focus data
@@ -48,24 +52,80 @@ try {
     $unfocused_time = intval($focus_data['unfocused_time'] ?? 0);
     $focus_percentage = floatval($focus_data['focus_percentage'] ?? 0);
 
+    // Extra client tracker metrics are kept as JSON in session_data
+    $session_metrics = array_intersect_key($focus_data, array_flip([
+        'blink_count',
+        'blinks_per_minute',
+        'perclos',
+        'drowsiness_state',
+        'unfocus_count',
+        'unfocus_reasons',
+        'attention_score',
+        'attention_by_minute',
+        'fixation_count',
+        'mean_fixation_duration',
+        'saccade_count',
+        'reading_time',
+        'skimming_time',
+        'staring_time',
+        'looking_time',
+        'focus_timeline_id',
+        'focus_timeline',
+        'focus_timeline_dropped',
+        'multiple_faces_episodes',
+        'multiple_faces_time',
+        'multiple_faces_log',
+        'element_dwell'
+    ]));
+    $session_data = !empty($session_metrics) ? json_encode($session_metrics) : null;
+
     if (!$module_id) {
-        throw new Exception('Module ID is required');
+        http_response_code(400);
+        echo json_encode(['error' => 'Module ID is required']);
+        exit();
+    }
+
+    // Retried saves from the client outbox are applied once
+    $idempotency_key = getIdempotencyKey($input);
+    $tracking_session_id = getTrackingSessionId($input);
+    ensureSaveRequestsTable($conn);
+    ensureSessionTotalsTable($conn);
+    $conn->begin_transaction();
+    $in_transaction = true;
+
+    if ($idempotency_key && !claimIdempotencyKey($conn, $user_id, $idempotency_key, 'save_session_data')) {
+        $conn->rollback();
+        echo json_encode([
+            'success' => true,
+            'duplicate' => true,
+            'idempotency_key' => $idempotency_key,
+            'message' => 'Session data already saved',
+            'timestamp' => date('Y-m-d H:i:s')
+        ]);
+        exit();
     }
 
+    // Snapshots are cumulative - the per-day analytics only get what this save adds to the last one
+    $added = $tracking_session_id
+        ? claimSessionDelta($conn, $user_id, $tracking_session_id, $session_time, $focused_time, $unfocused_time)
+        : ['session_time' => $session_time, 'focused_time' => $focused_time, 'unfocused_time' => $unfocused_time, 'new_session' => true];
+    $new_sessions = $added['new_session'] ? 1 : 0;
+
     // Insert or update session data with focus tracking
     $session_sql = "
         INSERT INTO eye_tracking_sessions 
-        (user_id, module_id, section_id, total_time_seconds, focused_time_seconds, unfocused_time_seconds, session_type, created_at, last_updated) 
-        VALUES (?, ?, ?, ?, ?, ?, 'viewing', NOW(), NOW())
+        (user_id, module_id, section_id, total_time_seconds, focused_time_seconds, unfocused_time_seconds, session_type, session_data, created_at, last_updated) 
+        VALUES (?, ?, ?, ?, ?, ?, 'viewing', ?, NOW(), NOW())
         ON DUPLICATE KEY UPDATE 
         total_time_seconds = VALUES(total_time_seconds),
         focused_time_seconds = VALUES(focused_time_seconds),
         unfocused_time_seconds = VALUES(unfocused_time_seconds),
+        session_data = COALESCE(VALUES(session_data), session_data),
         last_updated = NOW()
     ";
 
     $stmt = $conn->prepare($session_sql);
-    $stmt->bind_param('iiiiii', $user_id, $module_id, $section_id, $session_time, $focused_time, $unfocused_time);
+    $stmt->bind_param('iiiiiis', $user_id, $module_id, $section_id, $session_time, $focused_time, $unfocused_time, $session_data);
     
     if (!$stmt->execute()) {
         throw new Exception('Failed to save session data: ' . $stmt->error);
@@ -76,27 +136,28 @@ try {
         $analytics_sql = "
             INSERT INTO eye_tracking_analytics 
             (user_id, module_id, section_id, date, total_focus_time, total_focused_time, total_unfocused_time, focus_percentage, session_count, average_session_time, max_continuous_time, created_at, updated_at) 
-            VALUES (?, ?, ?, CURDATE(), ?, ?, ?, ?, 1, ?, ?, NOW(), NOW())
+            VALUES (?, ?, ?, CURDATE(), ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
             ON DUPLICATE KEY UPDATE 
             total_focus_time = total_focus_time + VALUES(total_focus_time),
             total_focused_time = total_focused_time + VALUES(total_focused_time),
             total_unfocused_time = total_unfocused_time + VALUES(total_unfocused_time),
             focus_percentage = (total_focused_time / GREATEST(total_focused_time + total_unfocused_time, 1)) * 100,
-            session_count = session_count + 1,
+            session_count = session_count + VALUES(session_count),
             average_session_time = (average_session_time + VALUES(average_session_time)) / 2,
             max_continuous_time = GREATEST(max_continuous_time, VALUES(max_continuous_time)),
             updated_at = NOW()
         ";
 
         $stmt = $conn->prepare($analytics_sql);
-        $stmt->bind_param('iiiiiidii', 
+        $stmt->bind_param('iiiiiidiii', 
             $user_id, 
             $module_id, 
             $section_id, 
-            $focused_time,      // total_focus_time
-            $focused_time,      // total_focused_time
-            $unfocused_time,    // total_unfocused_time
+            $added['focused_time'],     // total_focus_time
+            $added['focused_time'],     // total_focused_time
+            $added['unfocused_time'],   // total_unfocused_time
             $focus_percentage,  // focus_percentage
+            $new_sessions,      // session_count
             $session_time,      // average_session_time
             $session_time       // max_continuous_time
         );
@@ -108,12 +169,12 @@ try {
     $daily_sql = "
         INSERT INTO daily_analytics 
         (user_id, date, total_study_time_seconds, total_focused_time_seconds, total_unfocused_time_seconds, session_count, average_focus_percentage, longest_session_seconds, modules_studied, created_at, updated_at) 
-        VALUES (?, CURDATE(), ?, ?, ?, 1, ?, ?, 1, NOW(), NOW())
+        VALUES (?, CURDATE(), ?, ?, ?, ?, ?, ?, 1, NOW(), NOW())
         ON DUPLICATE KEY UPDATE 
         total_study_time_seconds = total_study_time_seconds + VALUES(total_study_time_seconds),
         total_focused_time_seconds = total_focused_time_seconds + VALUES(total_focused_time_seconds),
         total_unfocused_time_seconds = total_unfocused_time_seconds + VALUES(total_unfocused_time_seconds),
-        session_count = session_count + 1,
+        session_count = session_count + VALUES(session_count),
         average_focus_percentage = (total_focused_time_seconds / GREATEST(total_focused_time_seconds + total_unfocused_time_seconds, 1)) * 100,
         longest_session_seconds = GREATEST(longest_session_seconds, VALUES(longest_session_seconds)),
         updated_at = NOW()
@@ -122,9 +183,10 @@ try {
     $stmt = $conn->prepare($daily_sql);
     $stmt->bind_param('iiiiidi', 
         $user_id, 
-        $session_time,      // total_study_time_seconds
-        $focused_time,      // total_focused_time_seconds
-        $unfocused_time,    // total_unfocused_time_seconds
+        $added['session_time'],     // total_study_time_seconds
+        $added['focused_time'],     // total_focused_time_seconds
+        $added['unfocused_time'],   // total_unfocused_time_seconds
+        $new_sessions,      // session_count
         $focus_percentage,  // average_focus_percentage
         $session_time       // longest_session_seconds
     );
@@ -150,19 +212,26 @@ try {
         $stmt->execute();
     }
 
+    $conn->commit();
+
     echo json_encode([
         'success' => true,
         'message' => 'Session data saved successfully',
+        'idempotency_key' => $idempotency_key,
         'data' => [
             'session_time' => $session_time,
             'focused_time' => $focused_time,
             'unfocused_time' => $unfocused_time,
-            'focus_percentage' => $focus_percentage
+            'focus_percentage' => $focus_percentage,
+            'session_metrics' => $session_metrics
         ],
         'timestamp' => date('Y-m-d H:i:s')
     ]);
 
 } catch (Exception $e) {
+    if ($in_transaction) {
+        $conn->rollback();
+    }
     http_response_code(500);
     echo json_encode(['error' => 'Failed to save session data: ' . $e->getMessage()]);
 }
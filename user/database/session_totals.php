@@ -0,0 +1,95 @@
+<?php
+/**
+ * Running totals per tracking session for save_session_data.php
+ * The client tracker sends cumulative times with every save (every minute and on page exit), so the
+ * per-day analytics only get what grew since the last save of the same tracking session.
+ * A tracking session is one run of the tracker's timers - it carries over page loads within a module.
+ */
+
+function ensureSessionTotalsTable($conn) {
+    $conn->query("CREATE TABLE IF NOT EXISTS eye_tracking_session_totals (
+        id INT AUTO_INCREMENT PRIMARY KEY,
+        user_id INT NOT NULL,
+        tracking_session_id VARCHAR(64) NOT NULL,
+        session_time INT NOT NULL DEFAULT 0,
+        focused_time INT NOT NULL DEFAULT 0,
+        unfocused_time INT NOT NULL DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_user_session (user_id, tracking_session_id),
+        KEY idx_updated_at (updated_at)
+    ) ENGINE=InnoDB");
+}
+
+// null when the client sent none (older pages) - their snapshots are counted whole, as before
+function getTrackingSessionId($input) {
+    $id = $input['tracking_session_id'] ?? '';
+    return preg_match('/^[A-Za-z0-9_-]{8,64}$/', (string)$id) ? $id : null;
+}
+
+/**
+ * Store the session's new totals inside the caller's open transaction.
+ * Returns what they add to the previous save: ['session_time', 'focused_time', 'unfocused_time',
+ * 'new_session' => true on the session's first save]. Totals never go down, so a snapshot that
+ * arrives after a newer one adds nothing.
+ */
+function claimSessionDelta($conn, $user_id, $tracking_session_id, $session_time, $focused_time, $unfocused_time) {
+    $stmt = $conn->prepare("SELECT session_time, focused_time, unfocused_time FROM eye_tracking_session_totals
+                            WHERE user_id = ? AND tracking_session_id = ? FOR UPDATE");
+    if (!$stmt) {
+        throw new Exception('Prepare failed: ' . $conn->error);
+    }
+    $stmt->bind_param('is', $user_id, $tracking_session_id);
+    $stmt->execute();
+    $previous = $stmt->get_result()->fetch_assoc();
+    $stmt->close();
+
+    if (!$previous) {
+        purgeSessionTotals($conn);
+        $stmt = $conn->prepare("INSERT INTO eye_tracking_session_totals
+                                (user_id, tracking_session_id, session_time, focused_time, unfocused_time)
+                                VALUES (?, ?, ?, ?, ?)");
+        $stmt->bind_param('isiii', $user_id, $tracking_session_id, $session_time, $focused_time, $unfocused_time);
+        if (!$stmt->execute()) {
+            throw new Exception('Failed to record session totals: ' . $stmt->error);
+        }
+        $stmt->close();
+
+        return [
+            'session_time' => $session_time,
+            'focused_time' => $focused_time,
+            'unfocused_time' => $unfocused_time,
+            'new_session' => true
+        ];
+    }
+
+    $delta = [
+        'session_time' => max(0, $session_time - intval($previous['session_time'])),
+        'focused_time' => max(0, $focused_time - intval($previous['focused_time'])),
+        'unfocused_time' => max(0, $unfocused_time - intval($previous['unfocused_time'])),
+        'new_session' => false
+    ];
+
+    $stmt = $conn->prepare("UPDATE eye_tracking_session_totals
+                            SET session_time = session_time + ?, focused_time = focused_time + ?, unfocused_time = unfocused_time + ?
+                            WHERE user_id = ? AND tracking_session_id = ?");
+    $stmt->bind_param('iiiis', $delta['session_time'], $delta['focused_time'], $delta['unfocused_time'], $user_id, $tracking_session_id);
+    if (!$stmt->execute()) {
+        throw new Exception('Failed to record session totals: ' . $stmt->error);
+    }
+    $stmt->close();
+
+    return $delta;
+}
+
+// Kept as long as idempotency keys (idempotency.php), so a late copy of an old snapshot still finds its session
+function purgeSessionTotals($conn) {
+    $stmt = $conn->prepare("DELETE FROM eye_tracking_session_totals WHERE updated_at < NOW() - INTERVAL ? DAY");
+    if (!$stmt) {
+        throw new Exception('Prepare failed: ' . $conn->error);
+    }
+    $days = SAVE_REQUEST_RETENTION_DAYS;
+    $stmt->bind_param('i', $days);
+    $stmt->execute();
+    $stmt->close();
+}
+?>
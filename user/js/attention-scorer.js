@@ -0,0 +1,99 @@
+/**
+ * Attention Scorer v1.0
+ * Continuous 0-1 attention score next to the binary focused/unfocused state
+ *
+ * Features:
+ * - Per-frame score = product of 0-1 factors (gaze, head pose, eye openness, movement...) so any
+ *   single factor can pull it down, but a half-turned head costs only part of the credit
+ * - Exponential smoothing with a time constant, independent of the frame rate
+ * - Time-weighted averages per minute of the section, plus the section average
+ * - Short recent history for the widget chart
+ * - No DOM access - factors are computed by the tracker, which knows its thresholds
+ */
+
+class AttentionScorer {
+    constructor(options = {}) {
+        this.smoothingMs = options.smoothingMs || 1000;      // Time constant of the smoothing
+        this.maxFrameGapMs = options.maxFrameGapMs || 1000;   // Longer gaps between frames aren't counted
+        this.historyMs = options.historyMs || 60000;          // Recent scores kept for the chart
+        this.historyStepMs = options.historyStepMs || 250;
+
+        this.score = null;         // Smoothed score, null until the first frame
+        this.lastUpdateAt = null;
+        this.sectionStartedAt = null;
+        this.minutes = [];         // Per minute of the section: { weighted, ms }
+        this.history = [];         // { t, score }
+    }
+
+    startSection(now) {
+        this.sectionStartedAt = now;
+        this.minutes = [];
+        this.history = [];
+    }
+
+    /**
+     * Add one frame
+     * @param {number} now - time in ms
+     * @param {Object} factors - name -> 0-1 value
+     * @returns {number} smoothed score
+     */
+    update(now, factors) {
+        const raw = Object.values(factors).reduce((product, value) => product * Math.max(0, Math.min(1, value)), 1);
+        const elapsed = this.lastUpdateAt !== null ? now - this.lastUpdateAt : null;
+
+        if (this.score === null || elapsed === null || elapsed > this.maxFrameGapMs) {
+            this.score = raw;
+        } else {
+            // The score held since the previous frame counts for the minute it was held in
+            if (this.sectionStartedAt !== null) {
+                this.addToMinute(this.lastUpdateAt, elapsed);
+            }
+
+            const alpha = 1 - Math.exp(-elapsed / this.smoothingMs);
+            this.score += alpha * (raw - this.score);
+        }
+
+        this.lastUpdateAt = now;
+        this.recordHistory(now);
+        return this.score;
+    }
+
+    addToMinute(start, elapsed) {
+        const minute = Math.floor((start - this.sectionStartedAt) / 60000);
+        if (minute < 0) return;
+
+        while (this.minutes.length <= minute) {
+            this.minutes.push({ weighted: 0, ms: 0 });
+        }
+        this.minutes[minute].weighted += this.score * elapsed;
+        this.minutes[minute].ms += elapsed;
+    }
+
+    recordHistory(now) {
+        const last = this.history[this.history.length - 1];
+        if (!last || now - last.t >= this.historyStepMs) {
+            this.history.push({ t: now, score: this.score });
+        }
+        while (this.history.length > 0 && this.history[0].t < now - this.historyMs) {
+            this.history.shift();
+        }
+    }
+
+    getSummary() {
+        const round = (value) => Math.round(value * 100) / 100;
+        const total = this.minutes.reduce((sum, minute) => ({
+            weighted: sum.weighted + minute.weighted,
+            ms: sum.ms + minute.ms
+        }), { weighted: 0, ms: 0 });
+
+        return {
+            attention_score: total.ms > 0 ? round(total.weighted / total.ms) : null,
+            attention_by_minute: this.minutes.map(minute => (minute.ms > 0 ? round(minute.weighted / minute.ms) : null))
+        };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AttentionScorer;
+}
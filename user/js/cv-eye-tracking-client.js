@@ -1,23 +1,72 @@
 /**
  * Pure Client-Side Eye Tracking System v1.0
  * Uses TensorFlow.js with MediaPipe FaceMesh for in-browser eye tracking
- * No Python backend required - all processing happens in the browser
+ * No Python backend required by default - all processing happens in the browser
  * 
  * Features:
  * - Real eye detection using MediaPipe FaceMesh
+ * - Pluggable detector backends (detector-backends.js) - FaceMesh worker, main-thread FaceMesh or the
+ *   Python service via options.backend; timers, widget and saving are shared
  * - Gaze direction estimation
+ * - One-Euro or Kalman smoothing of gaze and head pose before focus decisions (signal-filters.js, options.smoothing)
  * - Focus/unfocus detection based on eye position
  * - Same black widget interface as before
  * - Automatic fallback to basic tracking if ML fails
+ * - Per-user gaze calibration stored per user and device
+ * - 3D head pose from a canonical face model fit (head-pose-estimator.js)
+ * - Blink rate, PERCLOS and drowsiness state from the eye aspect ratio
+ * - Optional multiple-face detection with "multiple people present" episodes
+ * - FaceMesh inference in a Web Worker (facemesh-worker.js) with main-thread fallback
+ * - Offline mode: model/WASM files from a self-hosted folder, checked against a SHA-256 manifest
+ * - Adaptive frame rate from measured processing time (js/adaptive-frame-scheduler.js)
+ * - On-screen gaze point and per-element dwell time on module content (gaze-element-tracker.js)
+ * - Fixation/saccade events (gaze-event-classifier.js) via options.onFixation / options.onSaccade
+ * - Reading vs. skimming vs. staring time per section (reading-detector.js)
+ * - Timeline of focus/unfocus intervals with section and reason, saved with the session (focus-timeline.js)
+ * - Every unfocus tagged with its cause (CVEyeTrackingSystem.UNFOCUS_REASONS) and counted per session
+ * - Smoothed 0-1 attention score per frame, charted in the widget and saved per minute (attention-scorer.js)
+ * - Event API for host pages: tracker.on(event, handler) returns an unsubscribe function
+ * - Lifecycle state machine with guarded transitions (CVEyeTrackingSystem.TRANSITIONS); every interval,
+ *   listener, camera track and backend is owned by one ResourceRegistry (js/resource-registry.js)
+ * - Pauses while the tab is hidden - frames stop and the time counts as unfocused
+ * - Session saves go through a durable outbox (js/save-outbox.js) - retried and replayed, never double-counted
+ * - One final save when the session ends - stopTracking() or pagehide (sendBeacon), acknowledged by the server
+ * - switchSection() for in-page section navigation - camera and model stay loaded, the old section is
+ *   saved and the new one starts its own timers and analytics
+ *
+ * Events (handler receives one detail object):
+ * - statechange          { state, previous }   idle | initializing | calibrating | tracking | paused |
+ *                                              transitioning | stopped | error
+ * - focuschange          { isFocused, reason, timestamp }  reason = UNFOCUS_REASONS key when unfocused
+ * - facelost / facefound { timestamp }
+ * - calibrationcomplete  { calibrated, skipped, calibration }
+ * - sessionsaved         { data, replayed }  replayed = delivered by a retry, possibly from an earlier page
+ * - sessionqueued        { data }              save failed and waits in the outbox
+ * - error                { error, source }     source = init | save
+ * - fixation / saccade   same objects as options.onFixation / options.onSaccade
+ * - sectionchange        { previousSectionId, sectionId }
  */
 
 class CVEyeTrackingSystem {
-    constructor(moduleId, sectionId = null) {
+    constructor(moduleId, sectionId = null, options = {}) {
         this.moduleId = moduleId;
         this.sectionId = sectionId;
-        this.isConnected = false; // For compatibility - always true for client-side
-        this.isTracking = false;
+        this.options = options;
         this.dormantMode = false;
+        this.state = 'idle'; // Only changed through transitionTo() - isTracking etc. are derived from it
+        
+        // Owns every interval, listener, media track and backend - released together on stop/error
+        this.resources = new ResourceRegistry();
+        this.pauseWhenHidden = options.pauseWhenHidden !== false;
+        
+        // Host page subscriptions - event name -> Set of handlers
+        this.listeners = {};
+        
+        // Saves survive flaky connections and page reloads
+        this.saveOutbox = new SaveOutbox({
+            onDelivered: (entry, result) => this.handleSaveDelivered(entry, result)
+        });
+        this.finalFlushSent = false;
         
         // Video and canvas elements
         this.video = null;
@@ -27,40 +76,48 @@ class CVEyeTrackingSystem {
         this.outputCtx = null;
         this.stream = null;
         
-        // FaceMesh detector
-        this.detector = null;
+        // Detector backend (detector-backends.js) - chosen in loadDetectorBackend()
+        this.backend = null;
         this.detectorReady = false;
-        
-        // Intervals
-        this.trackingInterval = null;
-        this.timerInterval = null;
-        this.dataSaveInterval = null;
-        this.statusUpdateInterval = null;
+        this.lastError = null;
+        this.lastProcessingMs = 0;
+        
+        // Self-hosted model files (intranet deployments) - null = jsDelivr CDN
+        this.assetLoader = options.assetBaseUrl ? new ModelAssetLoader(options.assetBaseUrl) : null;
+        
+        // Frame loop - rate follows how fast this device processes frames
+        this.frameScheduler = null;
+        this.frameRateConfig = {
+            initialFps: 10,
+            minFps: options.minFps || 2,
+            maxFps: options.maxFps || 15,
+            batteryMaxFps: 5
+        };
         
         // Instance tracking
         this.instanceId = Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        this.isTransitioning = false;
-        
-        // Eye landmark indices for MediaPipe FaceMesh
-        // Left eye landmarks
-        this.LEFT_EYE = [362, 385, 387, 263, 373, 380];
-        this.RIGHT_EYE = [33, 160, 158, 133, 153, 144];
-        this.LEFT_IRIS = [474, 475, 476, 477];
-        this.RIGHT_IRIS = [469, 470, 471, 472];
-        
-        // Head pose landmarks for detecting turned head
-        this.NOSE_TIP = 1;
-        this.NOSE_BRIDGE = 6;
-        this.LEFT_CHEEK = 234;
-        this.RIGHT_CHEEK = 454;
-        this.FOREHEAD = 10;
-        this.CHIN = 152;
-        
-        // Additional eye landmarks for EAR (Eye Aspect Ratio)
-        this.LEFT_EYE_VERTICAL = [386, 374]; // Top and bottom of left eye
-        this.RIGHT_EYE_VERTICAL = [159, 145]; // Top and bottom of right eye
-        this.LEFT_EYE_HORIZONTAL = [362, 263]; // Left and right corners
-        this.RIGHT_EYE_HORIZONTAL = [33, 133]; // Left and right corners
+        
+        // Gaze, EAR and head pose from landmarks - same code runs in the worker
+        this.featureExtractor = new EyeFeatureExtractor();
+        
+        // Landmark jitter filtering - options.smoothing overrides any of these
+        const smoothing = options.smoothing || {};
+        this.smoothingConfig = {
+            method: smoothing.method || 'one-euro', // one-euro | kalman | none
+            maxGapMs: smoothing.maxGapMs || 500,     // Longer tracking gaps restart the filters
+            // Gaze ratio (0-1): One-Euro minCutoff/beta/dCutoff, Kalman processNoise/measurementNoise
+            gaze: { minCutoff: 1.0, beta: 1.0, dCutoff: 1.0, processNoise: 0.01, measurementNoise: 0.001, ...smoothing.gaze },
+            // Head pose (degrees)
+            headPose: { minCutoff: 1.0, beta: 0.05, dCutoff: 1.0, processNoise: 30, measurementNoise: 4, ...smoothing.headPose }
+        };
+        this.featureSmoother = new FeatureSmoother(this.smoothingConfig);
+        this.rawGazeDirection = null; // Unsmoothed, for the debug overlay
+        
+        // Eye landmark indices for the legacy TensorFlow.js keypoint path
+        this.LEFT_EYE = this.featureExtractor.LEFT_EYE;
+        this.RIGHT_EYE = this.featureExtractor.RIGHT_EYE;
+        this.LEFT_IRIS = this.featureExtractor.LEFT_IRIS;
+        this.RIGHT_IRIS = this.featureExtractor.RIGHT_IRIS;
         
         // Focus detection thresholds - TIGHTENED for better unfocus detection
         this.focusThresholds = {
@@ -70,11 +127,32 @@ class CVEyeTrackingSystem {
             verticalMax: 0.75     // Bottom boundary - tighter
         };
         
+        // Per-user gaze calibration - replaces focusThresholds once learned
+        this.calibration = null;
+        this.isCalibrating = false;
+        this.calibrationSamples = null;
+        this.calibrationConfig = {
+            // Screen targets (0-1 normalized): center first, then the four corners
+            points: [
+                { x: 0.5, y: 0.5 },
+                { x: 0.08, y: 0.08 },
+                { x: 0.92, y: 0.08 },
+                { x: 0.92, y: 0.92 },
+                { x: 0.08, y: 0.92 }
+            ],
+            settleMs: 700,           // Ignore samples while the eyes travel to the dot
+            sampleMs: 1300,          // How long to collect samples per dot
+            minSamplesPerPoint: 5,   // Fewer valid frames = point is discarded
+            boundsMargin: 0.05,      // Slack added around the learned iris range
+            minAxisSpan: 0.02        // Iris barely moved = student didn't follow the dots
+        };
+        
         // Head pose thresholds
         this.headPoseThresholds = {
             maxYawAngle: 25,      // Max degrees head can turn left/right
             maxPitchAngle: 20,    // Max degrees head can tilt up/down
-            maxRollAngle: 25      // Max degrees head can tilt sideways
+            maxRollAngle: 25,     // Max degrees head can tilt sideways
+            minConfidence: 0.5    // Below this the pose fit is ignored rather than trusted
         };
         
         // Eye aspect ratio for blink/closed eye detection
@@ -84,25 +162,105 @@ class CVEyeTrackingSystem {
             closedFramesForUnfocus: 10 // Frames with closed eyes = unfocused
         };
         
+        // Blink and PERCLOS (percent eye closure) drowsiness detection
+        this.drowsinessConfig = {
+            minBlinkMs: 50,          // Shorter closures are landmark noise
+            maxBlinkMs: 500,         // Longer closures are not blinks (counted by PERCLOS instead)
+            windowMs: 60000,         // Rolling window for blink rate and PERCLOS
+            minWindowMs: 10000,      // Need this much data before judging drowsiness
+            drowsyPerclos: 15,       // PERCLOS % at or above this = drowsy
+            veryDrowsyPerclos: 30    // PERCLOS % at or above this = very drowsy
+        };
+        this.eyeClosure = {
+            isClosed: false,
+            closedSince: null,
+            blinkCount: 0,
+            blinkTimestamps: [],     // Blinks inside the rolling window
+            samples: [],             // { t, closed } inside the rolling window
+            sessionFrames: 0,
+            sessionClosedFrames: 0,
+            blinksPerMinute: 0,
+            perclos: 0,
+            drowsinessState: 'unknown'
+        };
+        
+        // Multiple-face detection (assessments, shared lab computers)
+        this.multiFaceConfig = {
+            enabled: !!options.detectMultipleFaces,
+            maxFaces: options.maxFaces || 4,
+            startFrames: 5,          // Frames with 2+ faces before an episode starts
+            endFrames: 10            // Frames with 0-1 faces before an episode ends
+        };
+        this.faceCount = 0;
+        
+        // Passed to every backend; options.useWorker = false keeps 'auto' on the main thread
+        this.backendConfig = {
+            numFaces: this.multiFaceConfig.enabled ? this.multiFaceConfig.maxFaces : 1,
+            assetLoader: this.assetLoader,
+            assetBaseUrl: options.assetBaseUrl || null,
+            workerUrl: options.workerUrl || 'js/facemesh-worker.js',
+            serviceUrl: options.serviceUrl, // One URL or candidates to health-check (array or comma-separated)
+            serviceTransport: options.serviceTransport, // auto | websocket | http
+            serviceBandwidthKbps: options.serviceBandwidthKbps, // Upload budget for frames, null = no limit
+            userId: options.userId,
+            moduleId,
+            sectionId
+        };
+        
+        this.multipleFaces = {
+            present: false,
+            consecutiveMultiFrames: 0,
+            consecutiveSingleFrames: 0,
+            currentEpisode: null,
+            episodes: []             // { startedAt, endedAt, maxFaces }
+        };
+        
+        // Gaze-to-screen mapping (needs calibration) and what content it lands on
+        this.gazeMappingConfig = {
+            offScreenMargin: 0.1     // Mapped gaze this far past a screen edge = looking off screen
+        };
+        this.gazePoint = null;       // { x, y } viewport pixels, null when unknown or off screen
+        this.onFixation = options.onFixation || (() => {});
+        this.onSaccade = options.onSaccade || (() => {});
+        this.readingMode = 'unfocused';
+        this.scrollHandler = null;
+        this.scrollPositions = new WeakMap();
+        this.attentionScore = null;
+        
+        // Dwell, fixations, reading, focus timeline and attention - recreated for every section
+        this.sectionVisits = 0;
+        this.createSectionMetrics();
+        
         // Tracking state
         this.isFocused = false;
         this.faceDetected = false;
         this.gazeDirection = { x: 0.5, y: 0.5 };
-        this.headPose = { yaw: 0, pitch: 0, roll: 0 };
+        this.headPose = { yaw: 0, pitch: 0, roll: 0, confidence: 0 };
+        this.rawHeadPose = null; // Solver output before the calibration baseline is removed
         this.eyeAspectRatio = { left: 0.3, right: 0.3, average: 0.3 };
         this.consecutiveUnfocusedFrames = 0;
         this.consecutiveFocusedFrames = 0;
         this.consecutiveClosedEyeFrames = 0;
+        this.consecutiveNoFaceFrames = 0;
+        this.faceLostReported = false;
         this.focusChangeThreshold = 5;        // Frames needed to become focused
         this.unfocusChangeThreshold = 3;      // Frames needed to become unfocused (faster reaction)
         
+        // Why focus was lost - frames per cause in the current unfocused streak, transitions per session
+        this.unfocusReasonFrames = {};
+        this.unfocusReasonCounts = Object.fromEntries(
+            Object.keys(CVEyeTrackingSystem.UNFOCUS_REASONS).map(reason => [reason, 0])
+        );
+        this.lastUnfocusReason = null;
+        
         // Gaze history for velocity/movement detection
         this.gazeHistory = [];
         this.gazeHistoryMaxLength = 5;
-        this.rapidMovementThreshold = 0.15;   // Gaze change per frame indicating looking away
+        this.rapidMovementThreshold = 0.15;   // Gaze change within the history indicating looking away
         
         // Enhanced timer system
         this.timers = {
+            sessionId: null,      // One run of the timers - saves send cumulative times per run
             sessionStart: null,
             sessionTime: 0,
             focusedTime: 0,
@@ -138,10 +296,16 @@ class CVEyeTrackingSystem {
         console.log(`🎯 Initializing Pure Client-Side Eye Tracking System v1.0... (Instance: ${this.instanceId})`);
         console.log('Features: TensorFlow.js FaceMesh, in-browser processing, no backend required');
         
-        // Clean up any existing intervals
-        this.cleanupAllIntervals();
+        // Guards against a second init() while one is running or tracking
+        if (!this.transitionTo('initializing')) return;
+        
+        // Clean up anything left from an earlier run
+        this.resources.releaseAll();
         this.cleanupInterface();
         
+        // Deliver saves left over from earlier visits (offline, closed tab)
+        this.saveOutbox.flush();
+        
         // Check if countdown should be shown
         const shouldShowCountdown = !this.hasCountdownBeenShownForModule();
         
@@ -152,136 +316,340 @@ class CVEyeTrackingSystem {
         }
         
         try {
-            // Load TensorFlow.js and FaceMesh
-            await this.loadMLModels();
+            // Load the detector backend (FaceMesh, Python service...)
+            await this.loadDetectorBackend();
             
             // Initialize webcam
             await this.initWebcam();
             
+            // stopTracking() may have run while the model or camera was loading
+            if (this.state !== 'initializing') {
+                this.resources.releaseAll();
+                return;
+            }
+            
             if (this.detectorReady && this.stream) {
-                this.isConnected = true;
+                await this.startTracking();
+                
+                // Learn this student's gaze range before focus time starts counting
+                if (this.backend.providesGaze && !this.loadCalibration() && !this.isCalibrationSkipped()) {
+                    await this.runCalibration();
+                }
+                if (this.state !== 'initializing' && this.state !== 'calibrating') {
+                    this.resources.releaseAll();
+                    return;
+                }
                 
                 // Start all services
                 await Promise.all([
-                    this.startTracking(),
                     this.displayTrackingInterface(),
                     this.initializeTimers()
                 ]);
                 
                 // Start periodic data saving
                 this.startDataSaving();
+                this.setupExitFlush();
+                
+                this.setupScrollTracking();
+                this.setupVisibilityPause();
                 
+                this.transitionTo('tracking');
                 console.log('⚡ Client-side eye tracking fully activated!');
             } else {
                 console.warn('⚠️ Could not initialize eye tracking');
-                this.showServiceError();
+                this.fail(this.lastError, 'init');
+                this.showServiceError(this.lastError);
             }
         } catch (error) {
             console.error('❌ Error initializing eye tracking:', error);
-            this.showServiceError();
+            this.lastError = error;
+            this.fail(error, 'init');
+            this.showServiceError(error);
         }
     }
     
-    async loadMLModels() {
-        console.log('🧠 Loading MediaPipe FaceMesh model...');
+    // Unrecoverable - release camera, backend and intervals; init() may be called again
+    fail(error, source) {
+        this.resources.releaseAll();
+        this.detectorReady = false;
+        this.transitionTo('error');
+        this.emit('error', { error, source });
+    }
+    
+    /**
+     * Subscribe to a tracker event
+     * @param {string} event - one of CVEyeTrackingSystem.EVENTS
+     * @param {Function} handler - called with the event detail object
+     * @returns {Function} unsubscribe
+     */
+    on(event, handler) {
+        if (!CVEyeTrackingSystem.EVENTS.includes(event)) {
+            console.warn(`⚠️ Unknown eye tracking event: ${event}`);
+        }
         
-        try {
-            // Wait for MediaPipe FaceMesh to be ready
-            if (typeof FaceMesh === 'undefined') {
-                console.log('⏳ Waiting for MediaPipe FaceMesh to load...');
-                await this.waitForFaceMesh();
+        if (!this.listeners[event]) {
+            this.listeners[event] = new Set();
+        }
+        this.listeners[event].add(handler);
+        return () => this.off(event, handler);
+    }
+    
+    off(event, handler) {
+        if (this.listeners[event]) {
+            this.listeners[event].delete(handler);
+        }
+    }
+    
+    emit(event, detail = {}) {
+        const handlers = this.listeners[event];
+        if (!handlers) return;
+        
+        // Copy first - a handler may unsubscribe itself
+        [...handlers].forEach(handler => {
+            try {
+                handler(detail);
+            } catch (error) {
+                // A broken host page handler must not stop tracking
+                console.error(`❌ Eye tracking ${event} handler failed:`, error);
             }
-            
-            console.log('✅ MediaPipe FaceMesh library loaded');
-            
-            // Create the FaceMesh instance
-            this.faceMesh = new FaceMesh({
-                locateFile: (file) => {
-                    return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
-                }
-            });
-            
-            // Configure FaceMesh
-            this.faceMesh.setOptions({
-                maxNumFaces: 1,
-                refineLandmarks: true, // Enable iris detection (478 landmarks)
-                minDetectionConfidence: 0.5,
-                minTrackingConfidence: 0.5
-            });
-            
-            // Set up the results callback
-            this.faceMesh.onResults((results) => {
-                this.onFaceMeshResults(results);
-            });
-            
-            // Initialize the model by sending a blank frame
-            console.log('🔧 Initializing FaceMesh model...');
-            const tempCanvas = document.createElement('canvas');
-            tempCanvas.width = 640;
-            tempCanvas.height = 480;
-            const tempCtx = tempCanvas.getContext('2d');
-            tempCtx.fillStyle = '#000';
-            tempCtx.fillRect(0, 0, 640, 480);
-            await this.faceMesh.send({ image: tempCanvas });
-            
-            this.detectorReady = true;
-            console.log('✅ MediaPipe FaceMesh ready!');
-            return true;
-        } catch (error) {
-            console.error('❌ Error loading ML models:', error);
-            this.detectorReady = false;
+        });
+    }
+    
+    /**
+     * Move to another lifecycle state - only the moves in CVEyeTrackingSystem.TRANSITIONS are allowed
+     * @returns {boolean} false when the move is not allowed (the state is unchanged)
+     */
+    transitionTo(state) {
+        if (state === this.state) return true;
+        
+        const allowed = CVEyeTrackingSystem.TRANSITIONS[this.state] || [];
+        if (!allowed.includes(state)) {
+            console.warn(`⚠️ Eye tracking state ${this.state} → ${state} not allowed`);
             return false;
         }
+        
+        const previous = this.state;
+        this.state = state;
+        this.emit('statechange', { state, previous });
+        return true;
     }
     
-    waitForFaceMesh() {
-        return new Promise((resolve, reject) => {
-            let attempts = 0;
-            const maxAttempts = 100; // 10 seconds max
+    // Compatibility flags - read-only views of the lifecycle state
+    get isTracking() {
+        return ['calibrating', 'tracking', 'paused', 'transitioning'].includes(this.state);
+    }
+    
+    get isConnected() {
+        return this.isTracking;
+    }
+    
+    get isTransitioning() {
+        return this.state === 'transitioning';
+    }
+    
+    // Frames are only analysed while calibrating or tracking
+    get isProcessingFrames() {
+        return this.state === 'calibrating' || this.state === 'tracking';
+    }
+    
+    async loadDetectorBackend() {
+        for (const candidate of this.getBackendCandidates()) {
+            let backend = null;
             
-            const check = () => {
-                if (typeof FaceMesh !== 'undefined') {
-                    resolve();
-                } else if (attempts >= maxAttempts) {
-                    reject(new Error('MediaPipe FaceMesh did not load in time'));
-                } else {
-                    attempts++;
-                    setTimeout(check, 100);
-                }
-            };
-            check();
-        });
+            try {
+                backend = typeof candidate === 'string'
+                    ? DetectorBackends.create(candidate, this.backendConfig)
+                    : candidate;
+                await backend.load();
+                
+                this.backend = backend;
+                this.detectorReady = true;
+                this.resources.add('backend', () => {
+                    backend.close();
+                    this.backend = null;
+                    this.detectorReady = false;
+                });
+                console.log(`✅ Eye tracking backend ready: ${backend.name}`);
+                return true;
+            } catch (error) {
+                console.warn(`⚠️ Eye tracking backend ${backend ? backend.name : candidate} failed:`, error.message);
+                this.lastError = error;
+                if (backend) backend.close();
+            }
+        }
+        
+        console.error('❌ No eye tracking backend could be loaded');
+        this.detectorReady = false;
+        return false;
     }
     
-    // MediaPipe FaceMesh results callback
-    onFaceMeshResults(results) {
-        if (!this.outputCtx) return;
+    getBackendCandidates() {
+        const backend = this.options.backend || 'auto';
+        
+        if (backend === 'auto') {
+            return this.options.useWorker === false ? ['facemesh'] : ['facemesh-worker', 'facemesh'];
+        }
+        return Array.isArray(backend) ? backend : [backend];
+    }
+    
+    // One backend result per frame - features, a bare focus decision, or no face
+    applyDetection(result) {
+        if (typeof result.processingMs === 'number') {
+            this.lastProcessingMs = result.processingMs;
+        }
+        
+        if (!this.outputCtx || !this.isProcessingFrames) return;
         
         // Clear and draw video frame
         this.outputCtx.save();
         this.outputCtx.clearRect(0, 0, this.outputCanvas.width, this.outputCanvas.height);
-        this.outputCtx.drawImage(results.image, 0, 0, this.outputCanvas.width, this.outputCanvas.height);
+        this.outputCtx.drawImage(this.video, 0, 0, this.outputCanvas.width, this.outputCanvas.height);
         
-        if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-            const landmarks = results.multiFaceLandmarks[0];
+        // Backends that don't count faces report null
+        if (typeof result.faceCount === 'number') {
+            this.faceCount = result.faceCount;
+            if (this.multiFaceConfig.enabled) {
+                this.updateMultipleFaceEpisodes(this.faceCount);
+            }
+        }
+        
+        if (result.features || typeof result.isFocused === 'boolean') {
+            this.updateFacePresence(true);
+        }
+        
+        if (result.features) {
             this.faceDetected = true;
             
-            // Process eye landmarks and determine focus
-            this.processEyeLandmarksFromMediaPipe(landmarks);
+            // Apply eye features and determine focus (or take the service's decision in edge mode)
+            this.applyFaceFeatures(result.features, result.isFocused, result.unfocusReason);
             
             // Draw eye visualization
-            this.drawEyeVisualization(landmarks);
+            this.drawEyeVisualization(result.features.overlay);
+        } else if (typeof result.isFocused === 'boolean') {
+            // Decision-only backend - no gaze, so no gaze analytics either
+            this.faceDetected = true;
+            this.updateFocusState(result.isFocused, 'service');
         } else {
             this.faceDetected = false;
             this.handleNoFaceDetected();
         }
         
+        if (!this.isCalibrating) {
+            this.updateAttentionScore(result);
+        }
+        
+        if (this.multipleFaces.present) {
+            this.outputCtx.fillStyle = 'rgba(255, 165, 0, 0.9)';
+            this.outputCtx.font = 'bold 16px Arial';
+            this.outputCtx.fillText(`${this.faceCount} faces detected`, 10, this.outputCanvas.height - 15);
+        }
+        
         this.outputCtx.restore();
         
         // Update the video display
         this.updateVideoDisplay();
     }
     
+    updateAttentionScore(result) {
+        let factors;
+        if (result.features) {
+            factors = this.getAttentionFactors();
+        } else if (typeof result.isFocused === 'boolean') {
+            factors = { decision: result.isFocused ? 1 : 0 }; // Decision-only backend - nothing to grade
+        } else {
+            factors = { face: 0 };
+        }
+        this.attentionScore = this.attentionScorer.update(Date.now(), factors);
+    }
+    
+    /**
+     * The isGazeFocused() factors as 0-1 values instead of pass/fail
+     * @returns {Object} gaze, head, eyes, movement
+     */
+    getAttentionFactors() {
+        const { x, y } = this.gazeDirection;
+        const { horizontalMin, horizontalMax, verticalMin, verticalMax } = this.getFocusBounds();
+        
+        // Gaze: full credit inside the bounds, none half a box width/height outside
+        const outsideX = Math.max(horizontalMin - x, 0, x - horizontalMax) / (horizontalMax - horizontalMin);
+        const outsideY = Math.max(verticalMin - y, 0, y - verticalMax) / (verticalMax - verticalMin);
+        const gaze = 1 - Math.max(outsideX, outsideY) / 0.5;
+        
+        // Head: full credit up to half the allowed angle, none at 1.5x (unreliable fits aren't held against the student)
+        let head = 1;
+        const { yaw, pitch, roll, confidence } = this.headPose;
+        const { maxYawAngle, maxPitchAngle, maxRollAngle, minConfidence } = this.headPoseThresholds;
+        if (confidence >= minConfidence) {
+            const turn = Math.max(Math.abs(yaw) / maxYawAngle, Math.abs(pitch) / maxPitchAngle, Math.abs(roll) / maxRollAngle);
+            head = 1 - Math.max(0, turn - 0.5);
+        }
+        
+        // Eyes: a blink costs little, a closure approaching the unfocus limit costs everything
+        const eyes = 1 - this.consecutiveClosedEyeFrames / this.earThresholds.closedFramesForUnfocus;
+        
+        // Movement: a quick glance away in the recent gaze history (recordGazeSample) costs part of the credit
+        const movement = this.isRapidGazeMovement() ? 0.6 : 1;
+        
+        return { gaze, head, eyes, movement };
+    }
+    
+    getFrameWidth() {
+        return (this.video && this.video.videoWidth) || 640;
+    }
+    
+    getFrameHeight() {
+        return (this.video && this.video.videoHeight) || 480;
+    }
+    
+    updateMultipleFaceEpisodes(faceCount) {
+        const state = this.multipleFaces;
+        const { startFrames, endFrames } = this.multiFaceConfig;
+        const now = Date.now();
+        
+        if (faceCount > 1) {
+            state.consecutiveMultiFrames++;
+            state.consecutiveSingleFrames = 0;
+            
+            if (!state.present && state.consecutiveMultiFrames >= startFrames) {
+                state.present = true;
+                state.currentEpisode = { startedAt: now, endedAt: null, maxFaces: faceCount };
+                state.episodes.push(state.currentEpisode);
+                console.log(`👥 Multiple people present (${faceCount} faces)`);
+            }
+            
+            if (state.currentEpisode) {
+                state.currentEpisode.maxFaces = Math.max(state.currentEpisode.maxFaces, faceCount);
+            }
+        } else {
+            state.consecutiveSingleFrames++;
+            state.consecutiveMultiFrames = 0;
+            
+            if (state.present && state.consecutiveSingleFrames >= endFrames) {
+                state.present = false;
+                state.currentEpisode.endedAt = now;
+                state.currentEpisode = null;
+                console.log('👤 Back to a single person');
+            }
+        }
+    }
+    
+    getMultipleFaceSummary() {
+        const now = Date.now();
+        const episodes = this.multipleFaces.episodes;
+        const totalMs = episodes.reduce((sum, episode) => sum + ((episode.endedAt || now) - episode.startedAt), 0);
+        
+        return {
+            multiple_faces_episodes: episodes.length,
+            multiple_faces_time: Math.floor(totalMs / 1000),
+            multiple_faces_log: episodes.map(episode => ({
+                started_at: new Date(episode.startedAt).toISOString(),
+                ended_at: episode.endedAt ? new Date(episode.endedAt).toISOString() : null,
+                duration: Math.floor(((episode.endedAt || now) - episode.startedAt) / 1000),
+                max_faces: episode.maxFaces
+            }))
+        };
+    }
+    
     async initWebcam() {
         console.log('📷 Initializing webcam...');
         
@@ -293,6 +661,11 @@ class CVEyeTrackingSystem {
             this.video.setAttribute('muted', '');
             this.video.style.display = 'none';
             document.body.appendChild(this.video);
+            const video = this.video;
+            this.resources.add('video', () => {
+                video.remove();
+                if (this.video === video) this.video = null;
+            });
             
             // Create canvas for processing
             this.canvas = document.createElement('canvas');
@@ -315,6 +688,11 @@ class CVEyeTrackingSystem {
                 },
                 audio: false
             });
+            const stream = this.stream;
+            this.resources.mediaStream('camera', stream);
+            this.resources.add('cameraRef', () => {
+                if (this.stream === stream) this.stream = null;
+            });
             
             this.video.srcObject = this.stream;
             await this.video.play();
@@ -323,6 +701,7 @@ class CVEyeTrackingSystem {
             return true;
         } catch (error) {
             console.error('❌ Failed to access webcam:', error);
+            this.lastError = error;
             this.showCameraError();
             return false;
         }
@@ -334,27 +713,224 @@ class CVEyeTrackingSystem {
             return false;
         }
         
-        this.isTracking = true;
         console.log('🎯 Starting client-side eye tracking...');
+        this.startFrameLoop();
         
-        // Start the tracking loop using MediaPipe's native API
-        this.trackingInterval = setInterval(async () => {
-            await this.processFrame();
-        }, 100); // 10 FPS - good balance between accuracy and performance
+        console.log(`✅ Eye tracking started (${this.frameScheduler.fps} FPS, adaptive)`);
+        return true;
+    }
+    
+    // Each frame finishes before the next one starts
+    startFrameLoop() {
+        const scheduler = new AdaptiveFrameScheduler(() => this.processFrame(), {
+            ...this.frameRateConfig,
+            onRateChange: (fps, previous) => {
+                console.log(`⏱️ Eye tracking frame rate ${previous} → ${fps} FPS`);
+            }
+        });
+        this.frameScheduler = scheduler;
+        this.resources.add('frames', () => {
+            scheduler.stop();
+            if (this.frameScheduler === scheduler) this.frameScheduler = null;
+        });
+        scheduler.start();
+    }
+    
+    /**
+     * Stop analysing frames (camera stays on); the paused time counts as unfocused
+     * @param {string} reason - recorded as the unfocus reason (page_hidden, paused)
+     */
+    pause(reason = 'paused') {
+        if (this.state !== 'tracking' || !this.transitionTo('paused')) return false;
+        
+        this.resources.release('frames');
+        this.gazeEventClassifier.interrupt();
+        this.featureSmoother.reset();
+        this.unfocusReasonFrames = {};
+        this.consecutiveFocusedFrames = 0;
+        this.isFocused = false;
+        this.startPauseInterval(reason);
         
-        console.log('✅ Eye tracking started (10 FPS)');
+        console.log(`⏸️ Eye tracking paused (${reason})`);
         return true;
     }
     
+    resume() {
+        if (this.state !== 'paused' || !this.transitionTo('tracking')) return false;
+        
+        this.startFrameLoop();
+        console.log('▶️ Eye tracking resumed');
+        return true;
+    }
+    
+    setupVisibilityPause() {
+        if (!this.pauseWhenHidden) return;
+        
+        this.resources.listen('visibilityPause', document, 'visibilitychange', () => {
+            if (document.hidden) {
+                this.pause('page_hidden');
+            } else {
+                this.resume();
+            }
+        });
+    }
+    
+    // Collectors whose results are saved per section - a section switch starts fresh ones
+    createSectionMetrics() {
+        const options = this.options;
+        
+        this.gazeElementTracker = options.contentSelector && typeof GazeElementTracker !== 'undefined'
+            ? new GazeElementTracker({ contentSelector: options.contentSelector })
+            : null;
+        
+        // Fixation/saccade classification on the normalized screen gaze
+        this.gazeEventClassifier = new GazeEventClassifier({
+            onFixation: (fixation) => this.handleFixation(fixation),
+            onSaccade: (saccade) => this.handleSaccade(saccade)
+        });
+        
+        // Reading pattern detection - splits focused time into reading/skimming/staring/looking
+        this.readingDetector = new ReadingDetector({ direction: options.readingDirection });
+        
+        // When focus started and ended - uploaded with every save for the admin attention timeline;
+        // each section visit gets its own id so the admin keeps them apart
+        this.focusTimeline = new FocusTimeline({
+            id: this.sectionVisits > 0 ? `${this.instanceId}_${this.sectionVisits}` : this.instanceId,
+            maxIntervals: options.maxTimelineIntervals
+        });
+        
+        // Graded attention - partial credit where the focus state is all or nothing
+        this.attentionScorer = new AttentionScorer({ smoothingMs: options.attentionSmoothingMs });
+    }
+    
+    /**
+     * Move to another section of the module without reloading - camera, model and frame loop keep running
+     * The old section's metrics are saved as its final snapshot; timers and per-section analytics
+     * start again from zero for the new section.
+     * @param {string|number} sectionId - new section
+     * @returns {Promise<boolean>} false when the switch was refused (same section, stopping)
+     */
+    async switchSection(sectionId) {
+        if (sectionId === null || sectionId === undefined || String(sectionId) === String(this.sectionId)) {
+            return false;
+        }
+        const previousSectionId = this.sectionId;
+        const resumeState = this.state;
+        
+        // Not counting yet (loading, calibrating) - the timers start on the new section anyway
+        if (resumeState !== 'tracking' && resumeState !== 'paused') {
+            if (resumeState === 'stopped' || resumeState === 'transitioning') return false;
+            this.setSectionId(sectionId);
+            return true;
+        }
+        if (!this.transitionTo('transitioning')) return false;
+        
+        console.log(`🔀 Switching section ${previousSectionId} → ${sectionId} (camera stays on)`);
+        
+        // The final snapshot is built right away - only the request itself is awaited below
+        const finalized = this.flushFinalSession();
+        
+        this.setSectionId(sectionId);
+        this.resetSectionMetrics();
+        this.finalFlushSent = false;
+        this.saveSessionToStorage();
+        
+        this.transitionTo(resumeState);
+        this.emit('sectionchange', { previousSectionId, sectionId });
+        
+        await finalized;
+        return true;
+    }
+    
+    setSectionId(sectionId) {
+        this.sectionId = sectionId;
+        this.backendConfig.sectionId = sectionId;
+        if (this.backend && typeof this.backend.setOptions === 'function') {
+            this.backend.setOptions({ sectionId });
+        }
+    }
+    
+    // Everything saved per section starts from zero - live state (focus, face, filters) carries on
+    resetSectionMetrics() {
+        const now = Date.now();
+        
+        this.sectionVisits++;
+        this.createSectionMetrics();
+        
+        // Every section starts unfocused (like the focus timeline) - focus comes back after a few frames
+        this.isFocused = false;
+        this.consecutiveFocusedFrames = 0;
+        this.unfocusReasonFrames = {};
+        this.timers = {
+            ...this.timers,
+            sessionId: this.createTimerSessionId(),
+            sessionStart: now,
+            sessionTime: 0,
+            focusedTime: 0,
+            unfocusedTime: 0,
+            currentFocusStart: null,
+            currentUnfocusStart: now,
+            isCurrentlyFocused: false,
+            baseFocusedTime: 0,
+            baseUnfocusedTime: 0
+        };
+        this.focusTimeline.startSection(this.sectionId, now);
+        this.attentionScorer.startSection(now);
+        
+        Object.keys(this.unfocusReasonCounts).forEach(reason => {
+            this.unfocusReasonCounts[reason] = 0;
+        });
+        this.lastUnfocusReason = null;
+        
+        this.eyeClosure.blinkCount = 0;
+        this.eyeClosure.sessionFrames = 0;
+        this.eyeClosure.sessionClosedFrames = 0;
+        
+        // A second person still in view carries over as a new episode of this section
+        const episode = this.multipleFaces.currentEpisode;
+        this.multipleFaces.currentEpisode = episode ? { startedAt: now, endedAt: null, maxFaces: episode.maxFaces } : null;
+        this.multipleFaces.episodes = episode ? [this.multipleFaces.currentEpisode] : [];
+    }
+    
     async processFrame() {
-        if (!this.isTracking || !this.video || !this.faceMesh || this.isTransitioning) {
+        if (!this.isProcessingFrames || !this.video || !this.backend) {
             return;
         }
         
         try {
-            // Send frame to MediaPipe FaceMesh for processing
-            // Results are handled in onFaceMeshResults callback
-            await this.faceMesh.send({ image: this.video });
+            // Resolves once the backend has answered, so the scheduler times the full round trip
+            const result = await this.backend.detect({
+                video: this.video,
+                width: this.getFrameWidth(),
+                height: this.getFrameHeight(),
+                timestamp: performance.now()
+            });
+            
+            // A service backend over its bandwidth budget needs fewer frames (null = no cap)
+            if (typeof this.backend.getMaxFps === 'function' && this.frameScheduler) {
+                const backendMaxFps = this.backend.getMaxFps();
+                this.frameScheduler.setMaxFps(backendMaxFps
+                    ? Math.min(backendMaxFps, this.frameRateConfig.maxFps)
+                    : this.frameRateConfig.maxFps);
+            }
+            
+            if (result) {
+                if (result.features) {
+                    result.features = this.smoothFeatures(result.features);
+                }
+                
+                // Edge mode - the service decides on the same smoothed, calibrated view the local
+                // thresholds would see; null leaves the decision to them
+                if (typeof this.backend.decide === 'function' && !this.isCalibrating) {
+                    const decision = await this.backend.decide(this.getFocusObservation(result));
+                    if (decision && result.features) {
+                        result.isFocused = decision.isFocused;
+                        result.unfocusReason = decision.unfocusReason;
+                    }
+                }
+                
+                this.applyDetection(result);
+            }
         } catch (error) {
             // Silently handle occasional processing errors
             if (Math.random() < 0.01) {
@@ -363,107 +939,249 @@ class CVEyeTrackingSystem {
         }
     }
     
-    // Process landmarks from MediaPipe native format (normalized 0-1 coordinates)
-    processEyeLandmarksFromMediaPipe(landmarks) {
-        if (!landmarks || landmarks.length < 478) {
-            return; // Need full face mesh with iris landmarks
+    // Landmark jitter filtering - every frame's features pass through here before any focus decision
+    smoothFeatures(features) {
+        this.rawGazeDirection = features.gazeDirection;
+        return this.featureSmoother.apply(features, Date.now());
+    }
+    
+    /**
+     * What a remote decider (backend.decide) needs to judge one frame like the local thresholds do
+     * @param {Object} result - detection result with smoothed features
+     * @returns {Object} { faceCount, gaze, headPose, ear, bounds } - head pose relative to the calibrated
+     *   baseline, bounds = this student's calibrated focus box (or the default one)
+     */
+    getFocusObservation(result) {
+        const features = result.features;
+        if (!features) {
+            return { faceCount: 0, gaze: null, headPose: null, ear: null, bounds: this.getFocusBounds() };
         }
         
+        return {
+            faceCount: typeof result.faceCount === 'number' ? result.faceCount : 1,
+            gaze: features.gazeDirection,
+            headPose: features.headPose ? this.relativeHeadPose(features.headPose) : null,
+            ear: features.eyeAspectRatio ? features.eyeAspectRatio.average : null,
+            bounds: this.getFocusBounds()
+        };
+    }
+    
+    /**
+     * Apply per-frame features from EyeFeatureExtractor (main thread or worker)
+     * @param {Object} features - EyeFeatureExtractor output, already smoothed (smoothFeatures)
+     * @param {boolean} [decision] - focus decided elsewhere (edge mode service); local thresholds otherwise
+     * @param {string} [decisionReason] - why the service decided unfocused, an UNFOCUS_REASONS key
+     */
+    applyFaceFeatures(features, decision, decisionReason) {
         try {
-            // MediaPipe returns normalized coordinates (0-1)
-            // Get iris centers
-            const leftIrisCenter = this.getIrisCenterFromMediaPipe(landmarks, this.LEFT_IRIS);
-            const rightIrisCenter = this.getIrisCenterFromMediaPipe(landmarks, this.RIGHT_IRIS);
+            this.gazeDirection = features.gazeDirection;
+            this.recordGazeSample(this.gazeDirection, Date.now());
             
-            // Get eye boundaries for ratio calculation
-            const leftEyeBounds = this.getEyeBoundsFromMediaPipe(landmarks, this.LEFT_EYE);
-            const rightEyeBounds = this.getEyeBoundsFromMediaPipe(landmarks, this.RIGHT_EYE);
+            this.applyHeadPose(features.headPose);
+            if (features.eyeAspectRatio) {
+                this.eyeAspectRatio = features.eyeAspectRatio;
+            }
+            this.updateEyeClosureMetrics();
             
-            if (leftIrisCenter && rightIrisCenter && leftEyeBounds && rightEyeBounds) {
-                // Calculate normalized gaze position within eye bounds
-                const leftGazeX = (leftIrisCenter.x - leftEyeBounds.minX) / (leftEyeBounds.maxX - leftEyeBounds.minX);
-                const rightGazeX = (rightIrisCenter.x - rightEyeBounds.minX) / (rightEyeBounds.maxX - rightEyeBounds.minX);
-                
-                const leftGazeY = (leftIrisCenter.y - leftEyeBounds.minY) / (leftEyeBounds.maxY - leftEyeBounds.minY);
-                const rightGazeY = (rightIrisCenter.y - rightEyeBounds.minY) / (rightEyeBounds.maxY - rightEyeBounds.minY);
-                
-                // Average both eyes
-                this.gazeDirection = {
-                    x: (leftGazeX + rightGazeX) / 2,
-                    y: (leftGazeY + rightGazeY) / 2
-                };
-                
-                // Clamp to valid range
-                this.gazeDirection.x = Math.max(0, Math.min(1, this.gazeDirection.x));
-                this.gazeDirection.y = Math.max(0, Math.min(1, this.gazeDirection.y));
-                
-                // Determine if user is focused (looking at screen)
-                const isLookingAtScreen = this.isGazeFocused();
-                
-                // Use hysteresis to prevent flickering
-                if (isLookingAtScreen) {
-                    this.consecutiveFocusedFrames++;
-                    this.consecutiveUnfocusedFrames = 0;
-                    
-                    if (this.consecutiveFocusedFrames >= this.focusChangeThreshold && !this.isFocused) {
-                        this.isFocused = true;
-                        this.handleFocusChange(true);
-                    }
-                } else {
-                    this.consecutiveUnfocusedFrames++;
-                    this.consecutiveFocusedFrames = 0;
-                    
-                    if (this.consecutiveUnfocusedFrames >= this.focusChangeThreshold && this.isFocused) {
-                        this.isFocused = false;
-                        this.handleFocusChange(false);
-                    }
+            // While calibrating, only collect samples - focus decisions wait for the result
+            if (this.isCalibrating) {
+                if (this.calibrationSamples) {
+                    this.calibrationSamples.push({
+                        x: this.gazeDirection.x,
+                        y: this.gazeDirection.y,
+                        headPose: this.headPose.confidence >= this.headPoseThresholds.minConfidence ? this.rawHeadPose : null
+                    });
                 }
+                return;
             }
+            
+            // Determine if user is focused (looking at screen) - and if not, why
+            const unfocusReason = this.getUnfocusReason();
+            if (typeof decision === 'boolean') {
+                // The service's cause first - the local one only explains an unfocus it gave no cause for
+                const serviceReason = CVEyeTrackingSystem.UNFOCUS_REASONS[decisionReason] ? decisionReason : null;
+                this.updateFocusState(decision, decision ? 'service' : (serviceReason || unfocusReason || 'service'));
+            } else {
+                this.updateFocusState(unfocusReason === null, unfocusReason || 'gaze');
+            }
+            
+            this.updateGazeTarget();
         } catch (error) {
             console.debug('Error processing eye landmarks:', error.message);
         }
     }
     
-    getIrisCenterFromMediaPipe(landmarks, irisIndices) {
-        let sumX = 0, sumY = 0, count = 0;
-        
-        for (const idx of irisIndices) {
-            if (landmarks[idx]) {
-                sumX += landmarks[idx].x;
-                sumY += landmarks[idx].y;
-                count++;
+    // Use hysteresis to prevent flickering
+    /**
+     * @param {boolean} isLookingAtScreen - this frame's decision
+     * @param {string} reason - focused: gaze | service; unfocused: an UNFOCUS_REASONS key
+     */
+    updateFocusState(isLookingAtScreen, reason = 'gaze') {
+        if (isLookingAtScreen) {
+            this.consecutiveFocusedFrames++;
+            this.consecutiveUnfocusedFrames = 0;
+            this.unfocusReasonFrames = {};
+            
+            if (this.consecutiveFocusedFrames >= this.focusChangeThreshold && !this.isFocused) {
+                this.isFocused = true;
+                this.handleFocusChange(true, reason);
+            }
+        } else {
+            this.consecutiveUnfocusedFrames++;
+            this.consecutiveFocusedFrames = 0;
+            this.countUnfocusReasonFrame(reason);
+            
+            if (this.consecutiveUnfocusedFrames >= this.focusChangeThreshold && this.isFocused) {
+                this.isFocused = false;
+                this.handleFocusChange(false, this.getDominantUnfocusReason());
+            }
+        }
+    }
+    
+    countUnfocusReasonFrame(reason) {
+        this.unfocusReasonFrames[reason] = (this.unfocusReasonFrames[reason] || 0) + 1;
+    }
+    
+    // The streak's most frequent cause names the transition - one odd frame doesn't
+    getDominantUnfocusReason() {
+        let dominant = null;
+        for (const [reason, frames] of Object.entries(this.unfocusReasonFrames)) {
+            if (dominant === null || frames > this.unfocusReasonFrames[dominant]) {
+                dominant = reason;
             }
         }
+        return dominant || 'gaze_out_of_bounds';
+    }
+    
+    // Gaze in screen units (0-1 = viewport edges, may fall outside)
+    getNormalizedScreenGaze() {
+        const { x, y } = this.gazeDirection;
         
-        if (count === 0) return null;
+        if (this.calibration) {
+            const { mapX, mapY } = this.calibration;
+            return { x: (x - mapX.offset) / mapX.scale, y: (y - mapY.offset) / mapY.scale };
+        }
         
+        // Uncalibrated: treat the default focus box as the screen. The camera image isn't
+        // mirrored, so looking right moves the iris toward the image's left edge.
+        const { horizontalMin, horizontalMax, verticalMin, verticalMax } = this.focusThresholds;
         return {
-            x: sumX / count,
-            y: sumY / count
+            x: (horizontalMax - x) / (horizontalMax - horizontalMin),
+            y: (y - verticalMin) / (verticalMax - verticalMin)
         };
     }
     
-    getEyeBoundsFromMediaPipe(landmarks, eyeIndices) {
-        let minX = Infinity, maxX = -Infinity;
-        let minY = Infinity, maxY = -Infinity;
+    // Viewport point the student is looking at - only trusted with a calibration fit
+    getScreenGazePoint() {
+        if (!this.calibration) return null;
         
-        for (const idx of eyeIndices) {
-            if (landmarks[idx]) {
-                minX = Math.min(minX, landmarks[idx].x);
-                maxX = Math.max(maxX, landmarks[idx].x);
-                minY = Math.min(minY, landmarks[idx].y);
-                maxY = Math.max(maxY, landmarks[idx].y);
+        const { x: nx, y: ny } = this.getNormalizedScreenGaze();
+        const margin = this.gazeMappingConfig.offScreenMargin;
+        
+        if (nx < -margin || nx > 1 + margin || ny < -margin || ny > 1 + margin) {
+            return null;
+        }
+        
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+        return {
+            x: Math.round(clamp(nx) * (window.innerWidth - 1)),
+            y: Math.round(clamp(ny) * (window.innerHeight - 1))
+        };
+    }
+    
+    updateGazeTarget() {
+        // Only focused gaze counts as looking at the content
+        this.gazePoint = this.faceDetected && this.isFocused ? this.getScreenGazePoint() : null;
+        
+        if (this.gazeElementTracker) {
+            this.gazeElementTracker.record(this.gazePoint);
+        }
+        
+        // Closed eyes and lost faces break the movement sequence
+        const eyesOpen = this.eyeAspectRatio.average >= this.earThresholds.blinkThreshold;
+        if (this.faceDetected && eyesOpen) {
+            const gaze = this.getNormalizedScreenGaze();
+            this.gazeEventClassifier.addSample(Date.now(), gaze.x, gaze.y);
+        } else {
+            this.gazeEventClassifier.interrupt();
+        }
+        
+        this.readingMode = this.readingDetector.update(Date.now(), this.faceDetected && this.isFocused);
+    }
+    
+    setupScrollTracking() {
+        if (this.scrollHandler) return;
+        
+        // Capture phase sees scrolling of the page and of any scrollable content panel
+        this.scrollHandler = (event) => {
+            const target = event.target === document ? document.scrollingElement : event.target;
+            if (!target) return;
+            
+            const previous = this.scrollPositions.get(target);
+            this.scrollPositions.set(target, target.scrollTop);
+            if (previous === undefined) return;
+            
+            const viewportHeight = target === document.scrollingElement ? window.innerHeight : target.clientHeight;
+            if (viewportHeight > 0) {
+                this.readingDetector.addScroll(Date.now(), (target.scrollTop - previous) / viewportHeight);
             }
+        };
+        if (document.scrollingElement) {
+            this.scrollPositions.set(document.scrollingElement, document.scrollingElement.scrollTop);
         }
+        this.resources.listen('scroll', document, 'scroll', this.scrollHandler, { capture: true, passive: true });
+        this.resources.add('scrollHandler', () => {
+            this.scrollHandler = null;
+        });
+    }
+    
+    getReadingSummary() {
+        const summary = this.readingDetector.getSummary();
+        return {
+            reading_time: summary.reading,
+            skimming_time: summary.skimming,
+            staring_time: summary.staring,
+            looking_time: summary.looking
+        };
+    }
+    
+    handleFixation(fixation) {
+        const event = {
+            ...fixation,
+            elementId: this.gazeElementTracker ? this.gazeElementTracker.getCurrentElementId() : null
+        };
         
-        if (minX === Infinity) return null;
+        try {
+            this.onFixation(event);
+        } catch (error) {
+            console.error('❌ onFixation callback failed:', error);
+        }
+        this.emit('fixation', event);
+    }
+    
+    handleSaccade(saccade) {
+        this.readingDetector.addSaccade(saccade);
         
-        return { minX, maxX, minY, maxY };
+        try {
+            this.onSaccade(saccade);
+        } catch (error) {
+            console.error('❌ onSaccade callback failed:', error);
+        }
+        this.emit('saccade', saccade);
+    }
+    
+    getGazeEventSummary() {
+        const summary = this.gazeEventClassifier.getSummary();
+        return {
+            fixation_count: summary.fixationCount,
+            mean_fixation_duration: Math.round(summary.meanFixationMs),
+            saccade_count: summary.saccadeCount
+        };
     }
     
     // Draw eye visualization on the output canvas
-    drawEyeVisualization(landmarks) {
-        if (!this.outputCtx) return;
+    drawEyeVisualization(overlay) {
+        if (!this.outputCtx || !overlay) return;
         
         const w = this.outputCanvas.width;
         const h = this.outputCanvas.height;
@@ -472,58 +1190,46 @@ class CVEyeTrackingSystem {
         this.outputCtx.strokeStyle = this.isFocused ? '#00ff00' : '#ff0000';
         this.outputCtx.lineWidth = 2;
         
-        // Draw left eye
-        this.outputCtx.beginPath();
-        for (let i = 0; i < this.LEFT_EYE.length; i++) {
-            const pt = landmarks[this.LEFT_EYE[i]];
-            if (i === 0) {
-                this.outputCtx.moveTo(pt.x * w, pt.y * h);
-            } else {
-                this.outputCtx.lineTo(pt.x * w, pt.y * h);
-            }
-        }
-        this.outputCtx.closePath();
-        this.outputCtx.stroke();
-        
-        // Draw right eye
-        this.outputCtx.beginPath();
-        for (let i = 0; i < this.RIGHT_EYE.length; i++) {
-            const pt = landmarks[this.RIGHT_EYE[i]];
-            if (i === 0) {
-                this.outputCtx.moveTo(pt.x * w, pt.y * h);
-            } else {
-                this.outputCtx.lineTo(pt.x * w, pt.y * h);
-            }
+        for (const eye of [overlay.leftEye, overlay.rightEye]) {
+            this.outputCtx.beginPath();
+            eye.forEach((pt, i) => {
+                if (i === 0) {
+                    this.outputCtx.moveTo(pt.x * w, pt.y * h);
+                } else {
+                    this.outputCtx.lineTo(pt.x * w, pt.y * h);
+                }
+            });
+            this.outputCtx.closePath();
+            this.outputCtx.stroke();
         }
-        this.outputCtx.closePath();
-        this.outputCtx.stroke();
         
         // Draw iris centers
         this.outputCtx.fillStyle = '#00ffff';
-        
-        // Left iris
-        const leftIris = this.getIrisCenterFromMediaPipe(landmarks, this.LEFT_IRIS);
-        if (leftIris) {
+        for (const iris of [overlay.leftIris, overlay.rightIris]) {
             this.outputCtx.beginPath();
-            this.outputCtx.arc(leftIris.x * w, leftIris.y * h, 3, 0, Math.PI * 2);
-            this.outputCtx.fill();
-        }
-        
-        // Right iris
-        const rightIris = this.getIrisCenterFromMediaPipe(landmarks, this.RIGHT_IRIS);
-        if (rightIris) {
-            this.outputCtx.beginPath();
-            this.outputCtx.arc(rightIris.x * w, rightIris.y * h, 3, 0, Math.PI * 2);
+            this.outputCtx.arc(iris.x * w, iris.y * h, 3, 0, Math.PI * 2);
             this.outputCtx.fill();
         }
         
         // Draw gaze indicator
         this.outputCtx.fillStyle = this.isFocused ? 'rgba(0, 255, 0, 0.3)' : 'rgba(255, 0, 0, 0.3)';
         const gazeX = this.gazeDirection.x * w;
-        const gazeY = this.gazeDirection.y * h;
         this.outputCtx.beginPath();
         this.outputCtx.arc(gazeX, 30, 15, 0, Math.PI * 2);
         this.outputCtx.fill();
+        
+        // Raw (unsmoothed) gaze as a ring - the gap to the filled dot is the jitter removed
+        if (this.rawGazeDirection && this.smoothingConfig.method !== 'none') {
+            this.outputCtx.strokeStyle = '#ffff00';
+            this.outputCtx.lineWidth = 1;
+            this.outputCtx.beginPath();
+            this.outputCtx.arc(this.rawGazeDirection.x * w, 30, 6, 0, Math.PI * 2);
+            this.outputCtx.stroke();
+            
+            this.outputCtx.fillStyle = '#ffff00';
+            this.outputCtx.font = '10px Arial';
+            this.outputCtx.fillText(`smoothing: ${this.smoothingConfig.method}`, 10, h - 5);
+        }
     }
     
     // Keep old methods for compatibility but they won't be used
@@ -626,9 +1332,16 @@ class CVEyeTrackingSystem {
     }
     
     isGazeFocused() {
-        // Multi-factor focus detection
+        return this.getUnfocusReason() === null;
+    }
+    
+    /**
+     * Multi-factor focus detection
+     * @returns {string|null} null when focused, otherwise the cause (a CVEyeTrackingSystem.UNFOCUS_REASONS key)
+     */
+    getUnfocusReason() {
         const { x, y } = this.gazeDirection;
-        const { horizontalMin, horizontalMax, verticalMin, verticalMax } = this.focusThresholds;
+        const { horizontalMin, horizontalMax, verticalMin, verticalMax } = this.getFocusBounds();
         
         // Factor 1: Gaze position within screen bounds
         const gazeInBounds = x >= horizontalMin && x <= horizontalMax && 
@@ -650,7 +1363,7 @@ class CVEyeTrackingSystem {
             this.consecutiveClosedEyeFrames++;
             // Prolonged eye closure = unfocused
             if (this.consecutiveClosedEyeFrames >= this.earThresholds.closedFramesForUnfocus) {
-                return false;
+                return 'eyes_closed';
             }
         } else {
             this.consecutiveClosedEyeFrames = 0;
@@ -658,32 +1371,63 @@ class CVEyeTrackingSystem {
         
         // Primary check: gaze + head pose
         if (gazeInBounds && headFacingScreen && notLookingAway) {
-            return true;
+            return null;
         }
         
         // Secondary check: just gaze (more lenient, for when head tracking is unreliable)
         if (gazeInBounds && eyesOpen) {
             // Still focused but with reduced confidence
-            return true;
+            return null;
         }
         
-        return false;
+        // Unfocused - most specific cause first (a turned head also moves the gaze out of bounds)
+        if (!headFacingScreen) {
+            return 'head_turned';
+        }
+        if (!notLookingAway) {
+            return 'looking_away';
+        }
+        return 'gaze_out_of_bounds';
+    }
+    
+    getFocusBounds() {
+        // Calibrated students get their own iris range instead of the fixed box
+        return this.calibration ? this.calibration.thresholds : this.focusThresholds;
     }
     
     isHeadFacingScreen() {
-        const { yaw, pitch, roll } = this.headPose;
-        const { maxYawAngle, maxPitchAngle, maxRollAngle } = this.headPoseThresholds;
+        const { yaw, pitch, roll, confidence } = this.headPose;
+        const { maxYawAngle, maxPitchAngle, maxRollAngle, minConfidence } = this.headPoseThresholds;
+        
+        // An unreliable fit says nothing about where the head points
+        if (confidence < minConfidence) {
+            return true;
+        }
         
         return Math.abs(yaw) <= maxYawAngle && 
                Math.abs(pitch) <= maxPitchAngle && 
                Math.abs(roll) <= maxRollAngle;
     }
     
+    // Smoothed gaze per frame for isRapidGazeMovement() - a tracking gap starts the history over
+    recordGazeSample(gaze, now) {
+        const last = this.gazeHistory[this.gazeHistory.length - 1];
+        if (last && now - last.t > this.smoothingConfig.maxGapMs) {
+            this.gazeHistory = [];
+        }
+        
+        this.gazeHistory.push({ x: gaze.x, y: gaze.y, t: now });
+        if (this.gazeHistory.length > this.gazeHistoryMaxLength) {
+            this.gazeHistory.shift();
+        }
+    }
+    
     isRapidGazeMovement() {
         if (this.gazeHistory.length < 2) return false;
         
+        // Across the whole short history - every frame of a quick glance away counts, not just the first
         const current = this.gazeHistory[this.gazeHistory.length - 1];
-        const previous = this.gazeHistory[this.gazeHistory.length - 2];
+        const previous = this.gazeHistory[0];
         
         const deltaX = Math.abs(current.x - previous.x);
         const deltaY = Math.abs(current.y - previous.y);
@@ -699,91 +1443,88 @@ class CVEyeTrackingSystem {
         return movement > this.rapidMovementThreshold && movingAwayFromCenter;
     }
     
-    calculateEyeAspectRatio(landmarks) {
-        // EAR = (|p2-p6| + |p3-p5|) / (2 * |p1-p4|)
-        // Simplified: vertical distance / horizontal distance
+    updateEyeClosureMetrics() {
+        const now = Date.now();
+        const closure = this.eyeClosure;
+        const { minBlinkMs, maxBlinkMs, windowMs, minWindowMs, drowsyPerclos, veryDrowsyPerclos } = this.drowsinessConfig;
+        const closed = this.eyeAspectRatio.average < this.earThresholds.blinkThreshold;
+        
+        // Blink = a short closure followed by reopening
+        if (closed && !closure.isClosed) {
+            closure.closedSince = now;
+        } else if (!closed && closure.isClosed && closure.closedSince) {
+            const closedFor = now - closure.closedSince;
+            if (closedFor >= minBlinkMs && closedFor <= maxBlinkMs) {
+                closure.blinkCount++;
+                closure.blinkTimestamps.push(now);
+            }
+            closure.closedSince = null;
+        }
+        closure.isClosed = closed;
+        
+        closure.sessionFrames++;
+        if (closed) closure.sessionClosedFrames++;
+        
+        // Rolling window
+        const windowStart = now - windowMs;
+        closure.samples.push({ t: now, closed });
+        while (closure.samples.length > 0 && closure.samples[0].t < windowStart) {
+            closure.samples.shift();
+        }
+        while (closure.blinkTimestamps.length > 0 && closure.blinkTimestamps[0] < windowStart) {
+            closure.blinkTimestamps.shift();
+        }
         
-        try {
-            // Left eye EAR
-            const leftTop = landmarks[this.LEFT_EYE_VERTICAL[0]];
-            const leftBottom = landmarks[this.LEFT_EYE_VERTICAL[1]];
-            const leftLeft = landmarks[this.LEFT_EYE_HORIZONTAL[0]];
-            const leftRight = landmarks[this.LEFT_EYE_HORIZONTAL[1]];
-            
-            const leftVertical = Math.sqrt(
-                Math.pow(leftTop.x - leftBottom.x, 2) + 
-                Math.pow(leftTop.y - leftBottom.y, 2)
-            );
-            const leftHorizontal = Math.sqrt(
-                Math.pow(leftLeft.x - leftRight.x, 2) + 
-                Math.pow(leftLeft.y - leftRight.y, 2)
-            );
-            const leftEAR = leftHorizontal > 0 ? leftVertical / leftHorizontal : 0;
-            
-            // Right eye EAR
-            const rightTop = landmarks[this.RIGHT_EYE_VERTICAL[0]];
-            const rightBottom = landmarks[this.RIGHT_EYE_VERTICAL[1]];
-            const rightLeft = landmarks[this.RIGHT_EYE_HORIZONTAL[0]];
-            const rightRight = landmarks[this.RIGHT_EYE_HORIZONTAL[1]];
-            
-            const rightVertical = Math.sqrt(
-                Math.pow(rightTop.x - rightBottom.x, 2) + 
-                Math.pow(rightTop.y - rightBottom.y, 2)
-            );
-            const rightHorizontal = Math.sqrt(
-                Math.pow(rightLeft.x - rightRight.x, 2) + 
-                Math.pow(rightLeft.y - rightRight.y, 2)
-            );
-            const rightEAR = rightHorizontal > 0 ? rightVertical / rightHorizontal : 0;
-            
-            this.eyeAspectRatio = {
-                left: leftEAR,
-                right: rightEAR,
-                average: (leftEAR + rightEAR) / 2
-            };
-        } catch (e) {
-            // Keep previous values on error
+        const windowSpan = closure.samples.length > 1 ? now - closure.samples[0].t : 0;
+        const closedSamples = closure.samples.filter(sample => sample.closed).length;
+        closure.perclos = closure.samples.length > 0 ? (closedSamples / closure.samples.length) * 100 : 0;
+        closure.blinksPerMinute = windowSpan > 0 ? closure.blinkTimestamps.length * (60000 / windowSpan) : 0;
+        
+        if (windowSpan < minWindowMs) {
+            closure.drowsinessState = 'unknown';
+        } else if (closure.perclos >= veryDrowsyPerclos) {
+            closure.drowsinessState = 'very_drowsy';
+        } else if (closure.perclos >= drowsyPerclos) {
+            closure.drowsinessState = 'drowsy';
+        } else {
+            closure.drowsinessState = 'alert';
         }
     }
     
-    calculateHeadPose(landmarks) {
-        // Simplified head pose estimation using facial landmarks
-        try {
-            const nose = landmarks[this.NOSE_TIP];
-            const leftCheek = landmarks[this.LEFT_CHEEK];
-            const rightCheek = landmarks[this.RIGHT_CHEEK];
-            const forehead = landmarks[this.FOREHEAD];
-            const chin = landmarks[this.CHIN];
-            
-            // Yaw (left-right rotation): compare nose position relative to cheeks
-            const cheekMidX = (leftCheek.x + rightCheek.x) / 2;
-            const cheekWidth = Math.abs(rightCheek.x - leftCheek.x);
-            const yawRatio = (nose.x - cheekMidX) / (cheekWidth / 2);
-            this.headPose.yaw = yawRatio * 45; // Approximate degrees
-            
-            // Pitch (up-down rotation): compare nose to forehead-chin line
-            const faceMidY = (forehead.y + chin.y) / 2;
-            const faceHeight = Math.abs(chin.y - forehead.y);
-            const pitchRatio = (nose.y - faceMidY) / (faceHeight / 2);
-            this.headPose.pitch = pitchRatio * 30; // Approximate degrees
-            
-            // Roll (tilt): compare eye levels or cheek levels
-            const rollAngle = Math.atan2(rightCheek.y - leftCheek.y, rightCheek.x - leftCheek.x);
-            this.headPose.roll = rollAngle * (180 / Math.PI);
-            
-        } catch (e) {
-            // Keep previous values on error
+    applyHeadPose(pose) {
+        if (!pose) {
+            this.headPose.confidence = 0;
+            return;
         }
+        
+        this.rawHeadPose = pose;
+        this.headPose = this.relativeHeadPose(pose);
+    }
+    
+    // Measure relative to how this student sits when looking at the screen center
+    relativeHeadPose(pose) {
+        const baseline = (this.calibration && this.calibration.headPoseBaseline) || { yaw: 0, pitch: 0, roll: 0 };
+        return {
+            yaw: pose.yaw - baseline.yaw,
+            pitch: pose.pitch - baseline.pitch,
+            roll: pose.roll - baseline.roll,
+            confidence: pose.confidence
+        };
     }
     
     handleNoFaceDetected() {
         this.consecutiveUnfocusedFrames++;
         this.consecutiveFocusedFrames = 0;
+        this.countUnfocusReasonFrame('no_face');
+        this.featureSmoother.reset();
+        this.gazeHistory = [];
+        this.updateFacePresence(false);
+        this.updateGazeTarget();
         
         // No face = definitely unfocused, react quickly
         if (this.consecutiveUnfocusedFrames >= this.unfocusChangeThreshold && this.isFocused) {
             this.isFocused = false;
-            this.handleFocusChange(false);
+            this.handleFocusChange(false, 'no_face');
             console.log('👁️ Unfocused: No face detected');
         }
         
@@ -795,6 +1536,24 @@ class CVEyeTrackingSystem {
         }
     }
     
+    // facelost/facefound fire once per absence, not on single dropped frames
+    updateFacePresence(present) {
+        if (present) {
+            this.consecutiveNoFaceFrames = 0;
+            if (this.faceLostReported) {
+                this.faceLostReported = false;
+                this.emit('facefound', { timestamp: Date.now() });
+            }
+            return;
+        }
+        
+        this.consecutiveNoFaceFrames++;
+        if (!this.faceLostReported && this.consecutiveNoFaceFrames >= this.unfocusChangeThreshold) {
+            this.faceLostReported = true;
+            this.emit('facelost', { timestamp: Date.now() });
+        }
+    }
+    
     drawAnnotations(face) {
         const keypoints = face.keypoints;
         const ctx = this.outputCtx;
@@ -861,14 +1620,22 @@ class CVEyeTrackingSystem {
         ctx.fillText(label, x, y - 5);
     }
     
+    // Copy the annotated frame into the widget - a scaled canvas draw, no image encoding per frame
     updateVideoDisplay() {
         const videoElement = document.getElementById('tracking-video');
-        if (videoElement && this.outputCanvas) {
-            videoElement.src = this.outputCanvas.toDataURL('image/jpeg', 0.7);
+        if (!videoElement || !this.outputCanvas || document.hidden || videoElement.offsetParent === null) {
+            return;
         }
+        
+        const ctx = videoElement.getContext('2d');
+        ctx.drawImage(this.outputCanvas, 0, 0, videoElement.width, videoElement.height);
     }
     
-    handleFocusChange(isFocused) {
+    /**
+     * @param {boolean} isFocused - new focus state
+     * @param {string} reason - what decided it (gaze | no_face | service), recorded in the focus timeline
+     */
+    handleFocusChange(isFocused, reason = 'gaze') {
         const now = Date.now();
         
         if (isFocused && !this.timers.isCurrentlyFocused) {
@@ -883,9 +1650,11 @@ class CVEyeTrackingSystem {
             this.timers.currentFocusStart = now;
             this.timers.baseFocusedTime = this.timers.focusedTime;
             this.timers.isCurrentlyFocused = true;
+            this.focusTimeline.transition(true, reason, this.sectionId, now);
+            this.emit('focuschange', { isFocused: true, reason, timestamp: now });
             
         } else if (!isFocused && this.timers.isCurrentlyFocused) {
-            console.log('👁️ User became unfocused');
+            console.log(`👁️ User became unfocused (${reason})`);
             
             if (this.timers.currentFocusStart) {
                 const focusDuration = Math.floor((now - this.timers.currentFocusStart) / 1000);
@@ -896,9 +1665,71 @@ class CVEyeTrackingSystem {
             this.timers.currentUnfocusStart = now;
             this.timers.baseUnfocusedTime = this.timers.unfocusedTime;
             this.timers.isCurrentlyFocused = false;
+            this.unfocusReasonCounts[reason] = (this.unfocusReasonCounts[reason] || 0) + 1;
+            this.lastUnfocusReason = reason;
+            this.focusTimeline.transition(false, reason, this.sectionId, now);
+            this.emit('focuschange', { isFocused: false, reason, timestamp: now });
+        }
+    }
+    
+    /**
+     * Recalibrating while tracking - time spent looking at the dots is neither focused nor unfocused
+     * Closes the current focus/unfocus streak; resumeFocusTimers() starts the next one unfocused.
+     */
+    suspendFocusTimers() {
+        if (!this.timers.sessionStart) return; // First calibration - the timers haven't started
+        
+        const now = Date.now();
+        this.foldFocusTimers(now);
+        this.timers.isCurrentlyFocused = false;
+        this.isFocused = false;
+        this.focusTimeline.end(now);
+    }
+    
+    /**
+     * Pausing starts its own unfocused interval with the pause reason
+     * Unlike handleFocusChange() this also happens when focus was already lost, so a hidden tab
+     * is never booked under the cause of the unfocus before it.
+     */
+    startPauseInterval(reason) {
+        if (!this.timers.sessionStart) return;
+        
+        const now = Date.now();
+        const wasFocused = this.timers.isCurrentlyFocused;
+        this.foldFocusTimers(now);
+        this.timers.currentUnfocusStart = now;
+        this.timers.isCurrentlyFocused = false;
+        this.unfocusReasonCounts[reason] = (this.unfocusReasonCounts[reason] || 0) + 1;
+        this.lastUnfocusReason = reason;
+        this.focusTimeline.transition(false, reason, this.sectionId, now);
+        if (wasFocused) {
+            this.emit('focuschange', { isFocused: false, reason, timestamp: now });
+        }
+    }
+    
+    // Add the open focus/unfocus streak to the totals and close it
+    foldFocusTimers(now) {
+        const elapsed = (start) => Math.floor((now - start) / 1000);
+        if (this.timers.currentFocusStart) {
+            this.timers.baseFocusedTime += elapsed(this.timers.currentFocusStart);
+            this.timers.focusedTime = this.timers.baseFocusedTime;
+            this.timers.currentFocusStart = null;
+        }
+        if (this.timers.currentUnfocusStart) {
+            this.timers.baseUnfocusedTime += elapsed(this.timers.currentUnfocusStart);
+            this.timers.unfocusedTime = this.timers.baseUnfocusedTime;
+            this.timers.currentUnfocusStart = null;
         }
     }
     
+    resumeFocusTimers() {
+        if (!this.timers.sessionStart) return;
+        
+        const now = Date.now();
+        this.timers.currentUnfocusStart = now;
+        this.focusTimeline.transition(false, 'calibration_end', this.sectionId, now);
+    }
+    
     initializeTimers() {
         console.log('⏱️ Initializing timer system...');
         
@@ -907,6 +1738,7 @@ class CVEyeTrackingSystem {
         
         if (savedSession) {
             console.log('📦 Restoring session from storage:', savedSession);
+            this.timers.sessionId = savedSession.sessionId || this.createTimerSessionId();
             this.timers.sessionStart = Date.now() - (savedSession.sessionTime * 1000);
             this.timers.sessionTime = savedSession.sessionTime;
             this.timers.focusedTime = savedSession.focusedTime;
@@ -916,6 +1748,7 @@ class CVEyeTrackingSystem {
             this.timers.baseUnfocusedTime = savedSession.unfocusedTime;
             this.timers.currentUnfocusStart = Date.now(); // Resume as unfocused
         } else {
+            this.timers.sessionId = this.createTimerSessionId();
             this.timers.sessionStart = Date.now();
             this.timers.sessionTime = 0;
             this.timers.focusedTime = 0;
@@ -926,10 +1759,13 @@ class CVEyeTrackingSystem {
             this.timers.currentUnfocusStart = Date.now(); // Start as unfocused
         }
         
+        this.focusTimeline.startSection(this.sectionId, Date.now());
+        this.attentionScorer.startSection(Date.now());
+        
         // Set up beforeunload handler to save session on navigation
         this.setupNavigationPersistence();
         
-        this.timerInterval = setInterval(() => {
+        this.resources.interval('timers', () => {
             this.updateTimers();
         }, 100);
     }
@@ -941,10 +1777,10 @@ class CVEyeTrackingSystem {
         };
         
         // Handle page navigation (beforeunload)
-        window.addEventListener('beforeunload', saveHandler);
+        this.resources.listen('persistOnUnload', window, 'beforeunload', saveHandler);
         
         // Handle SPA-style navigation (clicks on section links)
-        document.addEventListener('click', (e) => {
+        this.resources.listen('persistOnSectionLink', document, 'click', (e) => {
             const link = e.target.closest('a[href*="Smodulepart.php"]');
             if (link && link.href.includes(this.moduleId)) {
                 this.saveSessionToStorage();
@@ -952,7 +1788,7 @@ class CVEyeTrackingSystem {
         });
         
         // Also save periodically in case of unexpected navigation
-        this.sessionPersistInterval = setInterval(() => {
+        this.resources.interval('sessionPersist', () => {
             this.saveSessionToStorage();
         }, 5000); // Every 5 seconds
     }
@@ -961,6 +1797,7 @@ class CVEyeTrackingSystem {
         const sessionKey = `eyetracking_session_${this.moduleId}`;
         const sessionData = {
             moduleId: this.moduleId,
+            sessionId: this.timers.sessionId,
             sessionTime: this.timers.sessionTime || 0,
             focusedTime: this.timers.focusedTime || 0,
             unfocusedTime: this.timers.unfocusedTime || 0,
@@ -969,6 +1806,11 @@ class CVEyeTrackingSystem {
         sessionStorage.setItem(sessionKey, JSON.stringify(sessionData));
     }
     
+    // The server adds only what grew since the last save with the same id (save_session_data.php)
+    createTimerSessionId() {
+        return Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+    
     restoreSessionFromStorage() {
         const sessionKey = `eyetracking_session_${this.moduleId}`;
         const saved = sessionStorage.getItem(sessionKey);
@@ -1043,6 +1885,64 @@ class CVEyeTrackingSystem {
             focusPercentageElement.textContent = percentage;
         }
         
+        const multipleFacesElement = document.getElementById('multiple-faces-warning');
+        if (multipleFacesElement) {
+            multipleFacesElement.classList.toggle('hidden', !this.multipleFaces.present);
+        }
+        
+        const blinkRateElement = document.getElementById('blink-rate');
+        if (blinkRateElement) {
+            blinkRateElement.textContent = Math.round(this.eyeClosure.blinksPerMinute);
+        }
+        
+        const drowsinessElement = document.getElementById('drowsiness-state');
+        if (drowsinessElement) {
+            const labels = {
+                unknown: ['--', 'text-gray-400'],
+                alert: ['Alert', 'text-green-400'],
+                drowsy: ['Drowsy', 'text-yellow-400'],
+                very_drowsy: ['Very drowsy', 'text-red-400']
+            };
+            const [label, colorClass] = labels[this.eyeClosure.drowsinessState];
+            drowsinessElement.textContent = `${label} (${Math.round(this.eyeClosure.perclos)}%)`;
+            drowsinessElement.className = colorClass;
+        }
+        
+        const unfocusCauseElement = document.getElementById('unfocus-top-cause');
+        if (unfocusCauseElement) {
+            const [topReason, topCount] = Object.entries(this.unfocusReasonCounts)
+                .reduce((top, entry) => (entry[1] > top[1] ? entry : top), [null, 0]);
+            unfocusCauseElement.textContent = topReason
+                ? `${CVEyeTrackingSystem.UNFOCUS_REASONS[topReason]} (${topCount}×)`
+                : '--';
+            unfocusCauseElement.title = Object.entries(this.unfocusReasonCounts)
+                .filter(([, count]) => count > 0)
+                .map(([reason, count]) => `${CVEyeTrackingSystem.UNFOCUS_REASONS[reason]}: ${count}`)
+                .join('\n');
+        }
+        
+        const attentionScoreElement = document.getElementById('attention-score');
+        if (attentionScoreElement) {
+            attentionScoreElement.textContent = this.attentionScore !== null ? `${Math.round(this.attentionScore * 100)}%` : '--';
+        }
+        this.drawAttentionChart();
+        
+        const readingTimeElement = document.getElementById('reading-time');
+        const readingModeElement = document.getElementById('reading-mode');
+        if (readingTimeElement && readingModeElement) {
+            const modeLabels = {
+                reading: ['reading', 'text-green-400'],
+                skimming: ['skimming', 'text-yellow-400'],
+                staring: ['staring', 'text-yellow-400'],
+                looking: ['', 'text-gray-400'],
+                unfocused: ['', 'text-gray-400']
+            };
+            const [label, colorClass] = modeLabels[this.readingMode];
+            readingTimeElement.textContent = this.readingDetector.getSummary().reading;
+            readingModeElement.textContent = label ? `(${label})` : '';
+            readingModeElement.className = colorClass;
+        }
+        
         const focusStatus = document.getElementById('focus-status');
         const trackingIndicator = document.getElementById('tracking-indicator');
         
@@ -1052,13 +1952,46 @@ class CVEyeTrackingSystem {
                 focusStatus.className = 'text-green-400';
                 trackingIndicator.className = 'w-1.5 h-1.5 rounded-full bg-green-500 mr-1.5';
             } else {
-                focusStatus.textContent = 'Unfocused';
+                const reasonLabel = CVEyeTrackingSystem.UNFOCUS_REASONS[this.lastUnfocusReason];
+                focusStatus.textContent = reasonLabel ? `Unfocused: ${reasonLabel}` : 'Unfocused';
                 focusStatus.className = 'text-red-400';
                 trackingIndicator.className = 'w-1.5 h-1.5 rounded-full bg-red-500 mr-1.5';
             }
         }
     }
     
+    // Last minute of the smoothed attention score as a line over the 50% mark
+    drawAttentionChart() {
+        const chart = document.getElementById('attention-chart');
+        const history = this.attentionScorer.history;
+        if (!chart || history.length < 2) return;
+        
+        const ctx = chart.getContext('2d');
+        const { width, height } = chart;
+        const now = history[history.length - 1].t;
+        
+        ctx.clearRect(0, 0, width, height);
+        ctx.strokeStyle = '#374151';
+        ctx.beginPath();
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+        
+        ctx.strokeStyle = this.attentionScore >= 0.5 ? '#4ade80' : '#f87171';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        history.forEach((point, i) => {
+            const x = width - ((now - point.t) / this.attentionScorer.historyMs) * width;
+            const y = height - 1 - point.score * (height - 2);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    }
+    
     displayTrackingInterface() {
         // Create the exact same black widget interface
         const trackingContainer = document.createElement('div');
@@ -1080,6 +2013,7 @@ class CVEyeTrackingSystem {
                         <div class="w-1.5 h-1.5 rounded-full bg-green-500 mr-1.5"></div>
                         <span id="focus-status">Initializing...</span>
                     </div>
+                    <div id="multiple-faces-warning" class="hidden text-xs text-yellow-400 mt-0.5">👥 Multiple people detected</div>
                 </div>
                 
                 <!-- Metrics -->
@@ -1088,24 +2022,39 @@ class CVEyeTrackingSystem {
                     <div>Session: <span id="session-time" class="text-white">0</span>s</div>
                     <div>Focused: <span id="focus-percentage" class="text-white">0</span>%</div>
                     <div>Unfocused: <span id="unfocus-time" class="text-white">0</span>s</div>
+                    <div>Top cause: <span id="unfocus-top-cause" class="text-gray-400">--</span></div>
+                    <div>Blinks: <span id="blink-rate" class="text-white">0</span>/min</div>
+                    <div>Alertness: <span id="drowsiness-state" class="text-gray-400">--</span></div>
+                    <div>Reading: <span id="reading-time" class="text-white">0</span>s <span id="reading-mode" class="text-gray-400"></span></div>
+                    <div>Attention: <span id="attention-score" class="text-white">--</span></div>
+                    <canvas id="attention-chart" width="164" height="24" class="block w-full mt-0.5 bg-gray-900 rounded-sm"></canvas>
                 </div>
                 
                 <!-- Live Feed label -->
-                <div class="px-2 py-1 text-xs text-gray-300 border-b border-gray-600">
-                    Live Feed <span class="text-green-400">(In-Browser)</span>
+                <div class="px-2 py-1 text-xs text-gray-300 border-b border-gray-600 flex items-center justify-between">
+                    <span>Live Feed <span class="text-green-400">(In-Browser)</span></span>
+                    <button id="recalibrate-btn" class="text-blue-300 hover:text-blue-200" title="Recalibrate gaze">⌖</button>
                 </div>
                 
                 <!-- Video feed container -->
                 <div class="relative bg-black">
-                    <img id="tracking-video" 
+                    <canvas id="tracking-video" width="320" height="240"
                          style="width: 100%; height: 100px; display: block; background: #000; object-fit: cover;"
                          class="rounded-b-lg"
-                         alt="Live camera feed">
+                         aria-label="Live camera feed"></canvas>
                 </div>
             </div>
         `;
         
         document.body.appendChild(trackingContainer);
+        
+        const recalibrateButton = document.getElementById('recalibrate-btn');
+        if (recalibrateButton) {
+            recalibrateButton.addEventListener('click', () => {
+                this.runCalibration();
+            });
+        }
+        
         console.log('📺 Client-side eye tracking interface displayed');
     }
     
@@ -1142,7 +2091,7 @@ class CVEyeTrackingSystem {
         countdownNumber.textContent = secondsRemaining;
         statusText.textContent = messages[0];
         
-        const countdownInterval = setInterval(() => {
+        this.resources.interval('countdown', () => {
             secondsRemaining--;
             
             if (secondsRemaining > 0) {
@@ -1154,9 +2103,9 @@ class CVEyeTrackingSystem {
                 rocketIcon.classList.add('animate-bounce');
                 statusText.textContent = 'Eye Tracking Active! 🚀';
                 
-                clearInterval(countdownInterval);
+                this.resources.release('countdown');
                 
-                setTimeout(() => {
+                this.resources.timeout('countdownClose', () => {
                     if (countdownOverlay && countdownOverlay.parentNode) {
                         countdownOverlay.remove();
                     }
@@ -1174,13 +2123,225 @@ class CVEyeTrackingSystem {
         const sessionKey = `eyetracking_countdown_${this.moduleId}`;
         sessionStorage.setItem(sessionKey, 'shown');
     }
-    
-    startDataSaving() {
-        if (this.dataSaveInterval) {
-            clearInterval(this.dataSaveInterval);
+
+    getCalibrationStorageKey() {
+        // Calibration depends on both the student and the camera/screen they sit at
+        const userId = typeof window.currentUserId !== 'undefined' ? window.currentUserId : 'guest';
+        let cameraId = 'default';
+        if (this.stream) {
+            const track = this.stream.getVideoTracks()[0];
+            const settings = track && track.getSettings ? track.getSettings() : {};
+            cameraId = settings.deviceId || cameraId;
+        }
+        const deviceKey = `${cameraId}_${window.screen.width}x${window.screen.height}`;
+        return `eyetracking_calibration_${userId}_${deviceKey}`;
+    }
+
+    loadCalibration() {
+        const saved = localStorage.getItem(this.getCalibrationStorageKey());
+        if (!saved) return false;
+
+        try {
+            const calibration = JSON.parse(saved);
+            if (!calibration || calibration.version !== 1 || !calibration.thresholds) {
+                return false;
+            }
+            this.calibration = calibration;
+            console.log('🎯 Gaze calibration restored:', calibration.thresholds);
+            return true;
+        } catch (e) {
+            console.warn('Failed to parse saved calibration:', e);
+            return false;
+        }
+    }
+
+    saveCalibration(calibration) {
+        localStorage.setItem(this.getCalibrationStorageKey(), JSON.stringify(calibration));
+    }
+
+    clearCalibration() {
+        localStorage.removeItem(this.getCalibrationStorageKey());
+        this.calibration = null;
+    }
+
+    isCalibrationSkipped() {
+        return sessionStorage.getItem('eyetracking_calibration_skipped') === 'true';
+    }
+
+    async runCalibration() {
+        // From init, or recalibrating while tracking - frames must be flowing either way
+        const returnTo = this.state === 'tracking' ? 'tracking' : null;
+        if (this.isCalibrating || !this.frameScheduler || !this.transitionTo('calibrating')) {
+            return false;
+        }
+
+        console.log('🎯 Starting gaze calibration...');
+        this.isCalibrating = true;
+        this.suspendFocusTimers();
+
+        // The countdown overlay would sit on top of the dots
+        const countdownOverlay = document.getElementById('eye-tracking-countdown');
+        if (countdownOverlay) {
+            countdownOverlay.remove();
+        }
+
+        const overlay = document.createElement('div');
+        overlay.id = 'eye-tracking-calibration';
+        overlay.className = 'fixed inset-0 bg-black bg-opacity-80 z-50';
+        overlay.innerHTML = `
+            <div class="absolute left-1/2 top-1/3 transform -translate-x-1/2 text-center text-white" style="width: 320px;">
+                <div class="text-sm font-medium mb-1">Eye Tracking Calibration</div>
+                <div id="calibration-status" class="text-xs text-blue-300">Look at each dot until it moves</div>
+                <button id="calibration-skip" class="mt-3 text-xs text-gray-400 hover:text-gray-200">Skip for now</button>
+            </div>
+            <div id="calibration-dot" class="absolute rounded-full bg-blue-500 animate-pulse"
+                 style="width: 20px; height: 20px; transform: translate(-50%, -50%);"></div>
+        `;
+        document.body.appendChild(overlay);
+
+        let skipped = false;
+        overlay.querySelector('#calibration-skip').addEventListener('click', () => {
+            skipped = true;
+        });
+
+        const dot = overlay.querySelector('#calibration-dot');
+        const statusText = overlay.querySelector('#calibration-status');
+        const { points, settleMs, sampleMs, minSamplesPerPoint } = this.calibrationConfig;
+        const collected = [];
+
+        for (let i = 0; i < points.length && !skipped && this.state === 'calibrating'; i++) {
+            const target = points[i];
+            dot.style.left = `${target.x * 100}%`;
+            dot.style.top = `${target.y * 100}%`;
+            statusText.textContent = `Look at the dot (${i + 1}/${points.length})`;
+
+            await new Promise(resolve => setTimeout(resolve, settleMs));
+            this.calibrationSamples = [];
+            await new Promise(resolve => setTimeout(resolve, sampleMs));
+
+            const samples = this.calibrationSamples;
+            this.calibrationSamples = null;
+
+            if (samples.length >= minSamplesPerPoint) {
+                const poses = samples.map(s => s.headPose).filter(Boolean);
+                collected.push({
+                    target,
+                    gaze: {
+                        x: this.medianOf(samples.map(s => s.x)),
+                        y: this.medianOf(samples.map(s => s.y))
+                    },
+                    headPose: poses.length > 0 ? {
+                        yaw: this.medianOf(poses.map(p => p.yaw)),
+                        pitch: this.medianOf(poses.map(p => p.pitch)),
+                        roll: this.medianOf(poses.map(p => p.roll))
+                    } : null
+                });
+            } else {
+                console.warn(`⚠️ Calibration point ${i + 1} skipped - only ${samples.length} samples`);
+            }
+        }
+
+        overlay.remove();
+        this.isCalibrating = false;
+        this.calibrationSamples = null;
+        this.consecutiveFocusedFrames = 0;
+        this.consecutiveUnfocusedFrames = 0;
+        
+        // Stopped mid-calibration - nothing to keep
+        if (this.state !== 'calibrating') {
+            return false;
+        }
+        // init() moves on to tracking itself once the timers run
+        if (returnTo) {
+            this.resumeFocusTimers();
+            this.transitionTo(returnTo);
+        }
+
+        if (skipped) {
+            console.log('⏭️ Calibration skipped - using default focus thresholds');
+            sessionStorage.setItem('eyetracking_calibration_skipped', 'true');
+            this.emit('calibrationcomplete', { calibrated: false, skipped: true, calibration: null });
+            return false;
+        }
+
+        const calibration = this.computeCalibration(collected);
+        if (!calibration) {
+            console.warn('⚠️ Calibration failed - using default focus thresholds');
+            this.emit('calibrationcomplete', { calibrated: false, skipped: false, calibration: null });
+            return false;
+        }
+
+        this.calibration = calibration;
+        this.saveCalibration(calibration);
+        console.log('✅ Gaze calibration complete:', calibration.thresholds);
+        this.emit('calibrationcomplete', { calibrated: true, skipped: false, calibration });
+        return true;
+    }
+
+    computeCalibration(collected) {
+        // Need the center plus at least two opposite corners to fit both axes
+        if (collected.length < 3) {
+            return null;
+        }
+
+        const mapX = this.fitLinear(collected.map(p => p.target.x), collected.map(p => p.gaze.x));
+        const mapY = this.fitLinear(collected.map(p => p.target.y), collected.map(p => p.gaze.y));
+        const { boundsMargin, minAxisSpan } = this.calibrationConfig;
+
+        if (!mapX || !mapY || Math.abs(mapX.scale) < minAxisSpan || Math.abs(mapY.scale) < minAxisSpan) {
+            return null;
         }
+
+        // Iris ratios seen at the screen edges (target 0 and 1) bound the focus box
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+        const xEdges = [mapX.offset, mapX.offset + mapX.scale];
+        const yEdges = [mapY.offset, mapY.offset + mapY.scale];
         
-        this.dataSaveInterval = setInterval(async () => {
+        // Head pose while looking at the center becomes the "facing the screen" reference
+        const center = collected.find(p => p.target.x === 0.5 && p.target.y === 0.5);
+
+        return {
+            version: 1,
+            createdAt: Date.now(),
+            mapX,
+            mapY,
+            thresholds: {
+                horizontalMin: clamp(Math.min(...xEdges) - boundsMargin),
+                horizontalMax: clamp(Math.max(...xEdges) + boundsMargin),
+                verticalMin: clamp(Math.min(...yEdges) - boundsMargin),
+                verticalMax: clamp(Math.max(...yEdges) + boundsMargin)
+            },
+            headPoseBaseline: center && center.headPose ? center.headPose : null,
+            points: collected
+        };
+    }
+
+    fitLinear(targets, values) {
+        // Least-squares fit of value = offset + scale * target
+        const n = targets.length;
+        const meanT = targets.reduce((sum, t) => sum + t, 0) / n;
+        const meanV = values.reduce((sum, v) => sum + v, 0) / n;
+
+        let covariance = 0, variance = 0;
+        for (let i = 0; i < n; i++) {
+            covariance += (targets[i] - meanT) * (values[i] - meanV);
+            variance += (targets[i] - meanT) * (targets[i] - meanT);
+        }
+
+        if (variance === 0) return null;
+
+        const scale = covariance / variance;
+        return { offset: meanV - scale * meanT, scale };
+    }
+
+    medianOf(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    startDataSaving() {
+        this.resources.interval('dataSave', async () => {
             await this.saveSessionData();
         }, 60000); // Every 60 seconds
         
@@ -1188,46 +2349,147 @@ class CVEyeTrackingSystem {
     }
     
     stopDataSaving() {
-        if (this.dataSaveInterval) {
-            clearInterval(this.dataSaveInterval);
-            this.dataSaveInterval = null;
-        }
+        this.resources.release('dataSave');
     }
     
     async saveSessionData() {
-        if (!this.isTracking || this.isTransitioning) {
+        if (this.state !== 'tracking' && this.state !== 'paused') {
             return;
         }
 
+        await this.sendSessionData(this.buildSessionData());
+    }
+    
+    buildSessionData() {
+        return {
+            module_id: this.moduleId,
+            section_id: this.sectionId,
+            tracking_session_id: this.timers.sessionId,
+            session_time: Math.floor(this.timers.sessionTime || 0),
+            completion_percentage: typeof currentCompletionPercentage !== 'undefined' ? currentCompletionPercentage : 0,
+            focus_data: {
+                focused_time: Math.floor(this.timers.focusedTime || 0),
+                unfocused_time: Math.floor(this.timers.unfocusedTime || 0),
+                focus_percentage: this.calculateFocusPercentage(),
+                total_time: Math.floor(this.timers.sessionTime || 0),
+                ...this.getEyeClosureSummary(),
+                ...this.getUnfocusReasonSummary(),
+                ...this.getGazeEventSummary(),
+                ...this.getReadingSummary(),
+                ...this.attentionScorer.getSummary(),
+                ...this.focusTimeline.getSummary(),
+                ...(this.multiFaceConfig.enabled ? this.getMultipleFaceSummary() : {}),
+                ...(this.gazeElementTracker ? { element_dwell: this.gazeElementTracker.getSummary() } : {})
+            }
+        };
+    }
+    
+    // Snapshots are cumulative - a newer one replaces any still waiting for this section visit
+    getSessionSaveOptions() {
+        return { replaceKey: `session:${this.moduleId}:${this.sectionId}:${this.focusTimeline.id}` };
+    }
+    
+    async sendSessionData(sessionData) {
         try {
-            const sessionData = {
-                module_id: this.moduleId,
-                section_id: this.sectionId,
-                session_time: Math.floor(this.timers.sessionTime || 0),
-                completion_percentage: typeof currentCompletionPercentage !== 'undefined' ? currentCompletionPercentage : 0,
-                focus_data: {
-                    focused_time: Math.floor(this.timers.focusedTime || 0),
-                    unfocused_time: Math.floor(this.timers.unfocusedTime || 0),
-                    focus_percentage: this.calculateFocusPercentage(),
-                    total_time: Math.floor(this.timers.sessionTime || 0)
-                }
-            };
-
-            const response = await fetch('database/save_session_data.php', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(sessionData)
-            });
+            const { status, result } = await this.saveOutbox.enqueue(
+                'database/save_session_data.php', sessionData, this.getSessionSaveOptions()
+            );
 
-            if (response.ok) {
-                const result = await response.json();
-                if (result.success) {
-                    console.log('💾 Session data saved successfully');
-                }
+            if (status === 'queued') {
+                console.warn('📮 Session data queued - will retry');
+                this.emit('sessionqueued', { data: sessionData });
+            } else if (status === 'rejected') {
+                throw new Error(result.error || 'Session data was rejected');
             }
         } catch (error) {
             console.warn('⚠️ Error saving session data:', error);
+            this.emit('error', { error, source: 'save' });
+        }
+    }
+    
+    /**
+     * Send the final metrics exactly once per session
+     * @param {boolean} unloading - the page is going away (pagehide) - beacon instead of an awaited request
+     */
+    async flushFinalSession(unloading = false) {
+        if (this.finalFlushSent || !this.timers.sessionStart) return;
+        this.finalFlushSent = true;
+        
+        // Count time up to this moment and close the fixation and focus interval in progress
+        this.updateTimers();
+        this.gazeEventClassifier.interrupt();
+        this.focusTimeline.end(Date.now());
+        
+        const sessionData = this.buildSessionData();
+        if (unloading) {
+            const sent = this.saveOutbox.sendBeacon('database/save_session_data.php', sessionData, this.getSessionSaveOptions());
+            console.log(sent ? '📡 Final session data sent by beacon' : '📡 Beacon refused - final session data sent with keepalive');
+            return;
         }
+        
+        await this.sendSessionData(sessionData);
+    }
+    
+    // Final save on page exit - pagehide fires reliably where beforeunload doesn't (mobile, bfcache)
+    setupExitFlush() {
+        this.finalFlushSent = false;
+        
+        const handlers = {
+            visibilitychange: () => {
+                // The page may be discarded while hidden - keep a snapshot for the next visit
+                if (document.visibilityState === 'hidden' && !this.finalFlushSent && this.timers.sessionStart) {
+                    this.updateTimers();
+                    this.saveOutbox.hold('database/save_session_data.php', this.buildSessionData(), this.getSessionSaveOptions())
+                        .catch(error => console.warn('⚠️ Could not store session snapshot:', error));
+                }
+            },
+            pagehide: () => {
+                this.flushFinalSession(true);
+            },
+            pageshow: (event) => {
+                // Restored from the back/forward cache - the session goes on
+                if (event.persisted) {
+                    this.finalFlushSent = false;
+                    this.focusTimeline.transition(this.timers.isCurrentlyFocused, 'page_restored', this.sectionId, Date.now());
+                }
+            }
+        };
+        
+        this.resources.listen('exitFlushVisibility', document, 'visibilitychange', handlers.visibilitychange);
+        this.resources.listen('exitFlushPagehide', window, 'pagehide', handlers.pagehide);
+        this.resources.listen('exitFlushPageshow', window, 'pageshow', handlers.pageshow);
+    }
+    
+    removeExitFlush() {
+        ['exitFlushVisibility', 'exitFlushPagehide', 'exitFlushPageshow'].forEach(name => this.resources.release(name));
+    }
+    
+    handleSaveDelivered(entry, result) {
+        if (!entry.url.includes('save_session_data.php')) return;
+        
+        console.log(result.duplicate ? '💾 Session data was already saved' : '💾 Session data saved successfully');
+        this.emit('sessionsaved', { data: entry.body, replayed: entry.attempts > 0 });
+    }
+    
+    getEyeClosureSummary() {
+        const closure = this.eyeClosure;
+        const sessionMinutes = (this.timers.sessionTime || 0) / 60;
+        
+        return {
+            blink_count: closure.blinkCount,
+            blinks_per_minute: sessionMinutes > 0 ? Math.round((closure.blinkCount / sessionMinutes) * 10) / 10 : 0,
+            perclos: closure.sessionFrames > 0
+                ? Math.round((closure.sessionClosedFrames / closure.sessionFrames) * 1000) / 10
+                : 0,
+            drowsiness_state: closure.drowsinessState
+        };
+    }
+    
+    getUnfocusReasonSummary() {
+        return {
+            unfocus_count: Object.values(this.unfocusReasonCounts).reduce((sum, count) => sum + count, 0),
+            unfocus_reasons: { ...this.unfocusReasonCounts }
+        };
     }
     
     calculateFocusPercentage() {
@@ -1236,13 +2498,18 @@ class CVEyeTrackingSystem {
     }
     
     async stopTracking() {
+        if (this.state === 'stopped' || this.state === 'transitioning') return;
         console.log('🛑 Stopping client-side eye tracking...');
         
-        this.isTransitioning = true;
-        this.isTracking = false;
+        // Tracking sessions wind down through transitioning; loading or calibrating ones stop right away
+        if (this.state === 'tracking' || this.state === 'paused') {
+            this.transitionTo('transitioning');
+            this.resources.release('frames');
+        }
+        this.removeExitFlush();
         
-        // Save final data to server
-        await this.saveSessionData();
+        // Save final data to server (once - pagehide may have sent it already)
+        await this.flushFinalSession();
         
         // Clear the session storage since tracking is complete
         this.clearSessionFromStorage();
@@ -1255,28 +2522,16 @@ class CVEyeTrackingSystem {
             focus_percentage: this.calculateFocusPercentage()
         });
         
-        this.cleanupAllIntervals();
+        // Frames, timers, listeners, webcam, backend - everything registered since init()
+        this.resources.releaseAll();
         this.cleanupInterface();
         
-        // Stop webcam
-        if (this.stream) {
-            this.stream.getTracks().forEach(track => track.stop());
-            this.stream = null;
-        }
-        
-        if (this.video && this.video.parentNode) {
-            this.video.parentNode.removeChild(this.video);
-            this.video = null;
+        if (this.assetLoader) {
+            this.assetLoader.release();
         }
-        
-        this.detector = null;
-        this.isConnected = false;
+        this.transitionTo('stopped');
         
         console.log('✅ Client-side eye tracking stopped');
-        
-        setTimeout(() => {
-            this.isTransitioning = false;
-        }, 1000);
     }
     
     async stopService() {
@@ -1284,37 +2539,6 @@ class CVEyeTrackingSystem {
         await this.stopTracking();
     }
     
-    cleanupAllIntervals() {
-        console.log('🧹 Cleaning up all intervals...');
-        
-        if (this.trackingInterval) {
-            clearInterval(this.trackingInterval);
-            this.trackingInterval = null;
-        }
-        
-        if (this.timerInterval) {
-            clearInterval(this.timerInterval);
-            this.timerInterval = null;
-        }
-        
-        if (this.dataSaveInterval) {
-            clearInterval(this.dataSaveInterval);
-            this.dataSaveInterval = null;
-        }
-        
-        if (this.statusUpdateInterval) {
-            clearInterval(this.statusUpdateInterval);
-            this.statusUpdateInterval = null;
-        }
-        
-        if (this.sessionPersistInterval) {
-            clearInterval(this.sessionPersistInterval);
-            this.sessionPersistInterval = null;
-        }
-        
-        console.log('✅ All intervals cleaned up');
-    }
-    
     cleanupInterface() {
         const trackingInterface = document.getElementById('cv-eye-tracking-interface');
         if (trackingInterface) {
@@ -1325,6 +2549,11 @@ class CVEyeTrackingSystem {
         if (countdownOverlay) {
             countdownOverlay.remove();
         }
+        
+        const calibrationOverlay = document.getElementById('eye-tracking-calibration');
+        if (calibrationOverlay) {
+            calibrationOverlay.remove();
+        }
     }
     
     showFinalMetrics(metrics) {
@@ -1374,13 +2603,24 @@ class CVEyeTrackingSystem {
         }, 10000);
     }
     
-    showServiceError() {
+    showServiceError(error = null) {
         if (sessionStorage.getItem('eyeTrackingErrorShown') === 'true') {
             return;
         }
         
         sessionStorage.setItem('eyeTrackingErrorShown', 'true');
         
+        // Missing or corrupted self-hosted model files, or a service that doesn't speak the backend's
+        // protocol, need an admin, not a retry - say so
+        if (error && error.name === 'ModelAssetError') {
+            this.showConfigurationError(error, 'Eye Tracking Model Unavailable');
+            return;
+        }
+        if (error && error.name === 'ServiceIncompatibleError') {
+            this.showConfigurationError(error, 'Eye Tracking Service Incompatible');
+            return;
+        }
+        
         const errorContainer = document.createElement('div');
         errorContainer.id = 'eye-tracking-error-notice';
         errorContainer.innerHTML = `
@@ -1404,6 +2644,29 @@ class CVEyeTrackingSystem {
         }, 5000);
     }
     
+    showConfigurationError(error, title) {
+        const errorContainer = document.createElement('div');
+        errorContainer.id = 'eye-tracking-error-notice';
+        errorContainer.innerHTML = `
+            <div class="fixed top-4 right-4 bg-red-50 border border-red-200 rounded-lg p-4 max-w-md z-50">
+                <div class="flex items-center mb-2">
+                    <div class="w-3 h-3 rounded-full bg-red-500 mr-2"></div>
+                    <h3 class="text-sm font-semibold text-red-700"></h3>
+                </div>
+                <div class="text-xs text-red-600 space-y-1">
+                    <p></p>
+                    <p>Please contact your administrator.</p>
+                </div>
+                <button onclick="this.closest('#eye-tracking-error-notice').remove()" class="mt-2 text-xs text-red-600 hover:text-red-800">
+                    Dismiss
+                </button>
+            </div>
+        `;
+        errorContainer.querySelector('h3').textContent = title;
+        errorContainer.querySelector('p').textContent = error.message;
+        document.body.appendChild(errorContainer);
+    }
+    
     getStats() {
         return {
             isConnected: this.isConnected,
@@ -1411,23 +2674,78 @@ class CVEyeTrackingSystem {
             isFocused: this.isFocused,
             faceDetected: this.faceDetected,
             gazeDirection: this.gazeDirection,
+            headPose: this.headPose,
+            eyeAspectRatio: this.eyeAspectRatio,
+            blinkCount: this.eyeClosure.blinkCount,
+            blinksPerMinute: this.eyeClosure.blinksPerMinute,
+            perclos: this.eyeClosure.perclos,
+            drowsinessState: this.eyeClosure.drowsinessState,
+            faceCount: this.faceCount,
+            multipleFacesPresent: this.multipleFaces.present,
+            multipleFaceEpisodes: this.multipleFaces.episodes,
+            state: this.state,
+            calibrated: !!this.calibration,
+            gazePoint: this.gazePoint,
+            fixationCount: this.gazeEventClassifier.stats.fixationCount,
+            meanFixationMs: this.gazeEventClassifier.getSummary().meanFixationMs,
+            saccadeCount: this.gazeEventClassifier.stats.saccadeCount,
+            attentionScore: this.attentionScore,
+            unfocusReasons: { ...this.unfocusReasonCounts },
+            lastUnfocusReason: this.lastUnfocusReason,
+            readingMode: this.readingMode,
+            readingTime: this.readingDetector.getSummary().reading,
+            gazeElement: this.gazeElementTracker ? this.gazeElementTracker.getCurrentElementId() : null,
+            backend: this.backend ? this.backend.name : null,
+            lastProcessingMs: this.lastProcessingMs,
+            frameRate: this.frameScheduler ? this.frameScheduler.getStats() : null,
             totalTime: this.timers.sessionTime,
+            focusedTime: this.timers.focusedTime,
+            unfocusedTime: this.timers.unfocusedTime,
             moduleId: this.moduleId,
             sectionId: this.sectionId
         };
     }
 }
 
+CVEyeTrackingSystem.EVENTS = [
+    'statechange', 'focuschange', 'facelost', 'facefound', 'calibrationcomplete',
+    'sessionsaved', 'sessionqueued', 'error', 'fixation', 'saccade', 'sectionchange'
+];
+
+// Lifecycle - state -> states it may move to
+CVEyeTrackingSystem.TRANSITIONS = {
+    idle: ['initializing', 'stopped'],
+    initializing: ['calibrating', 'tracking', 'stopped', 'error'],
+    calibrating: ['tracking', 'stopped', 'error'],
+    tracking: ['calibrating', 'paused', 'transitioning', 'stopped', 'error'],
+    paused: ['tracking', 'transitioning', 'stopped', 'error'],
+    transitioning: ['tracking', 'paused', 'stopped', 'error'],
+    stopped: ['initializing'],
+    error: ['initializing', 'stopped']
+};
+
+// Causes an unfocus transition is tagged with - key -> widget label
+CVEyeTrackingSystem.UNFOCUS_REASONS = {
+    no_face: 'No face',
+    head_turned: 'Head turned',
+    eyes_closed: 'Eyes closed',
+    gaze_out_of_bounds: 'Gaze off screen',
+    looking_away: 'Looked away quickly',
+    page_hidden: 'Tab hidden',
+    paused: 'Paused',
+    service: 'Service decision' // Python service backend - no cause reported
+};
+
 // Global instance management (same as before)
 let eyeTrackingInstance = null;
 
-function initEyeTracking(moduleId, sectionId = null) {
+function initEyeTracking(moduleId, sectionId = null, options = {}) {
     // Clean up existing instance if any
     if (eyeTrackingInstance) {
         eyeTrackingInstance.stopTracking();
     }
     
-    eyeTrackingInstance = new CVEyeTrackingSystem(moduleId, sectionId);
+    eyeTrackingInstance = new CVEyeTrackingSystem(moduleId, sectionId, options);
     return eyeTrackingInstance;
 }
 
@@ -0,0 +1,580 @@
+/**
+ * Detector Backends v1.0
+ * Interchangeable face/gaze detectors for CVEyeTrackingSystem (cv-eye-tracking-client.js)
+ *
+ * The tracker core owns the camera, frame loop, focus timers, widget and saving; a backend only
+ * turns one webcam frame into a detection result. Pick one with options.backend:
+ * - 'auto' (default)   - FaceMesh worker, falling back to main-thread FaceMesh
+ * - 'facemesh-worker'  - MediaPipe Face Landmarker in a Web Worker (facemesh-worker.js)
+ * - 'facemesh'         - MediaPipe FaceMesh on the main thread
+ * - 'python-service'   - frames sent to the Python eye tracking service (needs js/webcam-tracker.js;
+ *                        streamed over a WebSocket when js/frame-socket.js is loaded)
+ * - 'python-edge'      - FaceMesh in the browser, only landmark features go to the Python service,
+ *                        which makes the focus decision - no image leaves the machine (needs js/webcam-tracker.js)
+ *   Both service backends take config.serviceUrl as one URL or a list of candidates (array or
+ *   comma-separated); js/service-discovery.js picks the first healthy one whose /api/health
+ *   capabilities cover the backend's SERVICE_REQUIREMENTS when it is loaded
+ * - an array of names (tried in order) or a backend instance
+ *
+ * Backend interface:
+ * - name                   - registry name, shown in stats and logs
+ * - providesGaze           - true when results carry gaze features (enables calibration and gaze analytics)
+ * - async load()           - get ready to detect; throws when the backend can't run here
+ * - async detect(frame)    - frame = { video, width, height, timestamp }
+ *                            → { faceCount, features, processingMs }  features = EyeFeatureExtractor output, null = no face
+ *                            → { faceCount, isFocused, processingMs }  backends that only report a focus decision
+ *                            → { faceCount, features, isFocused, unfocusReason, ... }   features plus someone else's decision
+ *                            → null                                     frame skipped, tracker state is left alone
+ * - async decide(observation) - optional, focus decided elsewhere (python-edge): called after detect() with
+ *                            the tracker's smoothed, calibrated view (getFocusObservation); { isFocused,
+ *                            unfocusReason }, or null to leave the frame to the local thresholds
+ * - getMaxFps()            - optional, frame rate ceiling the backend needs (e.g. a bandwidth budget), null = none;
+ *                            read after every detect()
+ * - setOptions(options)    - optional, e.g. { numFaces } or { sectionId } after a section switch
+ * - close()                - release workers, models and server sessions
+ *
+ * New backends are added with DetectorBackends.register(name, BackendClass); the class is
+ * constructed with the tracker's backend config (see CVEyeTrackingSystem constructor).
+ */
+
+const MEDIAPIPE_CDN = {
+    faceMesh: 'https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh',
+    visionBundle: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/vision_bundle.cjs',
+    visionWasm: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14/wasm',
+    faceLandmarkerModel: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task'
+};
+
+class FaceMeshWorkerBackend {
+    constructor(config = {}) {
+        this.name = 'facemesh-worker';
+        this.providesGaze = true;
+        this.config = {
+            workerUrl: config.workerUrl || 'js/facemesh-worker.js',
+            assetBaseUrl: config.assetBaseUrl || null,
+            numFaces: config.numFaces || 1,
+            initTimeoutMs: config.initTimeoutMs || 20000,
+            frameTimeoutMs: config.frameTimeoutMs || 2000   // Give up on a frame the worker never answered
+        };
+
+        this.worker = null;
+        this.pendingFrame = null;   // { frameId, resolve, timeout } while the worker is busy
+        this.frameId = 0;
+    }
+
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+               typeof OffscreenCanvas !== 'undefined' &&
+               typeof createImageBitmap !== 'undefined';
+    }
+
+    load() {
+        if (!FaceMeshWorkerBackend.isSupported()) {
+            return Promise.reject(new Error('Web Workers with OffscreenCanvas are not supported in this browser'));
+        }
+
+        console.log('🧵 Starting FaceMesh worker...');
+
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(this.config.workerUrl);
+            this.worker = worker;
+
+            const timeout = setTimeout(() => {
+                reject(new Error('FaceMesh worker did not initialize in time'));
+            }, this.config.initTimeoutMs);
+
+            worker.onmessage = (event) => {
+                const message = event.data;
+
+                if (message.type === 'ready') {
+                    clearTimeout(timeout);
+                    resolve();
+                } else if (message.type === 'result') {
+                    this.settleFrame(message.frameId, {
+                        faceCount: message.faceCount,
+                        features: message.features,
+                        processingMs: message.processingMs
+                    });
+                } else if (message.type === 'error') {
+                    if (message.frameId !== undefined) {
+                        // A single bad frame - keep going
+                        this.settleFrame(message.frameId);
+                        console.debug('Worker frame error:', message.message);
+                    } else {
+                        clearTimeout(timeout);
+                        reject(message.name === 'ModelAssetError' ? new ModelAssetError(message.message) : new Error(message.message));
+                    }
+                }
+            };
+
+            worker.onerror = (event) => {
+                clearTimeout(timeout);
+                reject(new Error(event.message || 'FaceMesh worker failed to load'));
+            };
+
+            worker.postMessage({
+                type: 'init',
+                config: {
+                    visionBundleUrl: MEDIAPIPE_CDN.visionBundle,
+                    wasmPath: MEDIAPIPE_CDN.visionWasm,
+                    modelAssetPath: MEDIAPIPE_CDN.faceLandmarkerModel,
+                    assetBaseUrl: this.config.assetBaseUrl,
+                    numFaces: this.config.numFaces
+                }
+            });
+        });
+    }
+
+    // Resolves once the worker has answered, so the frame scheduler times the full round trip
+    async detect(frame) {
+        if (!this.worker || this.pendingFrame || frame.video.readyState < 2) {
+            return null;
+        }
+
+        const bitmap = await createImageBitmap(frame.video);
+        if (!this.worker) {
+            bitmap.close();
+            return null;
+        }
+
+        const frameId = ++this.frameId;
+        return new Promise((resolve) => {
+            this.pendingFrame = {
+                frameId,
+                resolve,
+                timeout: setTimeout(() => this.settleFrame(), this.config.frameTimeoutMs)
+            };
+            this.worker.postMessage({
+                type: 'frame',
+                frameId,
+                timestamp: frame.timestamp,
+                width: frame.width,
+                height: frame.height,
+                bitmap
+            }, [bitmap]);
+        });
+    }
+
+    settleFrame(frameId = null, result = null) {
+        const pending = this.pendingFrame;
+        // A late answer to a frame that already timed out must not release the current one
+        if (!pending || (frameId !== null && frameId !== pending.frameId)) return;
+
+        clearTimeout(pending.timeout);
+        this.pendingFrame = null;
+        pending.resolve(result);
+    }
+
+    setOptions(options) {
+        if (!options.numFaces) return;
+        this.config.numFaces = options.numFaces;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'setOptions', numFaces: this.config.numFaces });
+        }
+    }
+
+    close() {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'close' });
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.settleFrame();
+    }
+}
+
+class FaceMeshBackend {
+    constructor(config = {}) {
+        this.name = 'facemesh';
+        this.providesGaze = true;
+        this.config = {
+            numFaces: config.numFaces || 1,
+            assetLoader: config.assetLoader || null   // Self-hosted model files - null = jsDelivr CDN
+        };
+
+        this.faceMesh = null;
+        this.latestResults = null;
+        this.featureExtractor = new EyeFeatureExtractor();
+    }
+
+    async load() {
+        console.log('🧠 Loading MediaPipe FaceMesh model...');
+
+        let locateFile = (file) => `${MEDIAPIPE_CDN.faceMesh}/${file}`;
+
+        if (this.config.assetLoader) {
+            locateFile = await this.loadSelfHosted();
+        } else if (typeof FaceMesh === 'undefined') {
+            // Wait for MediaPipe FaceMesh to be ready
+            console.log('⏳ Waiting for MediaPipe FaceMesh to load...');
+            await this.waitForFaceMesh();
+        }
+
+        console.log('✅ MediaPipe FaceMesh library loaded');
+
+        this.faceMesh = new FaceMesh({ locateFile });
+        this.faceMesh.setOptions({
+            maxNumFaces: this.config.numFaces,
+            refineLandmarks: true, // Enable iris detection (478 landmarks)
+            minDetectionConfidence: 0.5,
+            minTrackingConfidence: 0.5
+        });
+
+        // send() resolves after this callback has run for the frame
+        this.faceMesh.onResults((results) => {
+            this.latestResults = results;
+        });
+
+        // Initialize the model by sending a blank frame
+        console.log('🔧 Initializing FaceMesh model...');
+        const tempCanvas = document.createElement('canvas');
+        tempCanvas.width = 640;
+        tempCanvas.height = 480;
+        const tempCtx = tempCanvas.getContext('2d');
+        tempCtx.fillStyle = '#000';
+        tempCtx.fillRect(0, 0, 640, 480);
+        await this.faceMesh.send({ image: tempCanvas });
+    }
+
+    async loadSelfHosted() {
+        const assetLoader = this.config.assetLoader;
+        console.log(`📦 Loading FaceMesh from self-hosted assets: ${assetLoader.baseUrl}`);
+        await assetLoader.loadManifest();
+
+        // Verify every solution file up front - FaceMesh then only sees checked blob URLs
+        const verifiedUrls = {};
+        for (const path of assetLoader.listFiles('face_mesh/')) {
+            const file = path.slice('face_mesh/'.length);
+            const type = file.endsWith('.js') ? 'text/javascript' : file.endsWith('.wasm') ? 'application/wasm' : 'application/octet-stream';
+            verifiedUrls[file] = await assetLoader.getVerifiedUrl(path, type);
+        }
+
+        if (!verifiedUrls['face_mesh.js']) {
+            throw new ModelAssetError('Eye tracking asset face_mesh/face_mesh.js is not listed in the manifest', 'face_mesh/face_mesh.js');
+        }
+
+        if (typeof FaceMesh === 'undefined') {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = verifiedUrls['face_mesh.js'];
+                script.onload = resolve;
+                script.onerror = () => reject(new ModelAssetError('FaceMesh library failed to load', 'face_mesh/face_mesh.js'));
+                document.head.appendChild(script);
+            });
+        }
+
+        return (file) => {
+            if (!verifiedUrls[file]) {
+                throw new ModelAssetError(`Eye tracking asset face_mesh/${file} is not listed in the manifest`, `face_mesh/${file}`);
+            }
+            return verifiedUrls[file];
+        };
+    }
+
+    waitForFaceMesh() {
+        return new Promise((resolve, reject) => {
+            let attempts = 0;
+            const maxAttempts = 100; // 10 seconds max
+
+            const check = () => {
+                if (typeof FaceMesh !== 'undefined') {
+                    resolve();
+                } else if (attempts >= maxAttempts) {
+                    reject(new Error('MediaPipe FaceMesh did not load in time'));
+                } else {
+                    attempts++;
+                    setTimeout(check, 100);
+                }
+            };
+            check();
+        });
+    }
+
+    async detect(frame) {
+        if (!this.faceMesh) return null;
+
+        const started = performance.now();
+        this.latestResults = null;
+        await this.faceMesh.send({ image: frame.video });
+
+        const results = this.latestResults;
+        if (!results) return null;
+
+        const faces = results.multiFaceLandmarks || [];
+        let features = null;
+        if (faces.length > 0) {
+            const landmarks = this.featureExtractor.selectPrimaryFace(faces);
+            features = this.featureExtractor.extract(landmarks, frame.width, frame.height);
+        }
+
+        return { faceCount: faces.length, features, processingMs: performance.now() - started };
+    }
+
+    setOptions(options) {
+        if (!options.numFaces) return;
+        this.config.numFaces = options.numFaces;
+        if (this.faceMesh) {
+            this.faceMesh.setOptions({ maxNumFaces: this.config.numFaces });
+        }
+    }
+
+    close() {
+        if (this.faceMesh) {
+            this.faceMesh.close();
+            this.faceMesh = null;
+        }
+    }
+}
+
+// Service backends - first healthy candidate offering what the backend needs, or the first one
+// unchecked without js/service-discovery.js (capabilities null)
+async function resolveService(config, requirements) {
+    if (typeof ServiceDiscovery === 'undefined') {
+        const candidates = Array.isArray(config.serviceUrl) ? config.serviceUrl : String(config.serviceUrl || '').split(',');
+        return { url: candidates[0] ? candidates[0].trim() : undefined, capabilities: null };
+    }
+
+    const { url, capabilities } = await new ServiceDiscovery(config.serviceUrl).resolve(requirements);
+    console.log(`🐍 Eye tracking service found at ${url} (${capabilities.describe()})`);
+    return { url, capabilities };
+}
+
+// Focus decisions come from the service; no landmarks, so no calibration or gaze analytics
+class PythonServiceBackend {
+    constructor(config = {}) {
+        this.name = 'python-service';
+        this.providesGaze = false;
+        this.config = config;
+        this.transport = null;
+    }
+
+    async load() {
+        if (typeof WebcamTracker === 'undefined') {
+            throw new Error('WebcamTracker (js/webcam-tracker.js) is not loaded');
+        }
+
+        const service = await resolveService(this.config, PythonServiceBackend.SERVICE_REQUIREMENTS);
+
+        // Don't try a WebSocket the service says it doesn't have
+        let transport = this.config.serviceTransport;
+        if (service.capabilities && !service.capabilities.hasEndpoint('/ws/frames')) {
+            if (transport === 'websocket') {
+                console.warn('⚠️ Eye tracking service has no /ws/frames - sending frames over HTTP');
+            }
+            transport = 'http';
+        }
+
+        // The tracker core owns the camera - WebcamTracker is only used to talk to the service
+        this.transport = new WebcamTracker({
+            serverUrl: service.url,
+            userId: this.config.userId,
+            moduleId: this.config.moduleId,
+            sectionId: this.config.sectionId,
+            transport,
+            bandwidthBudgetKbps: this.config.serviceBandwidthKbps,
+            onError: (message) => console.warn('⚠️ Eye tracking service:', message)
+        });
+
+        console.log(`🐍 Starting eye tracking service session at ${this.transport.serverUrl}...`);
+        await this.transport.startSession();
+    }
+
+    async detect(frame) {
+        if (!this.transport || frame.video.readyState < 2) return null;
+
+        const started = performance.now();
+        const result = await this.transport.sendFrame(frame.video);
+
+        // The service runs its own start countdown - those frames carry no focus decision
+        if (!result || !result.success || result.tracking_state !== 'tracking') {
+            return null;
+        }
+
+        return { faceCount: null, isFocused: !!result.is_focused, processingMs: performance.now() - started };
+    }
+
+    // The tracker core sends the frames, so it has to slow down when they use up the bandwidth budget
+    getMaxFps() {
+        return this.transport ? this.transport.budgetMaxFps : null;
+    }
+
+    // Section switches (switchSection) - the service only stores the section a session was started with
+    setOptions(options) {
+        if (options.sectionId === undefined) return;
+        this.config.sectionId = options.sectionId;
+        if (this.transport) {
+            this.transport.sectionId = options.sectionId;
+        }
+    }
+
+    close() {
+        if (this.transport) {
+            this.transport.endSession().catch(() => {});
+            this.transport = null;
+        }
+    }
+}
+
+// Edge mode - landmarks are computed locally, the service only sees a handful of numbers per frame
+class EdgeServiceBackend {
+    constructor(config = {}) {
+        this.name = 'python-edge';
+        this.providesGaze = true;
+        this.config = config;
+        this.local = null;
+        this.transport = null;
+    }
+
+    async load() {
+        if (typeof WebcamTracker === 'undefined') {
+            throw new Error('WebcamTracker (js/webcam-tracker.js) is not loaded');
+        }
+
+        // Same order as 'auto' - worker first, then the main thread
+        let lastError = null;
+        for (const LocalBackend of [FaceMeshWorkerBackend, FaceMeshBackend]) {
+            const local = new LocalBackend(this.config);
+            try {
+                await local.load();
+                this.local = local;
+                break;
+            } catch (error) {
+                local.close();
+                lastError = error;
+            }
+        }
+        if (!this.local) {
+            throw lastError;
+        }
+
+        this.transport = new WebcamTracker({
+            serverUrl: (await resolveService(this.config, EdgeServiceBackend.SERVICE_REQUIREMENTS)).url,
+            userId: this.config.userId,
+            moduleId: this.config.moduleId,
+            sectionId: this.config.sectionId,
+            transport: 'http', // No frames to stream
+            onError: (message) => console.warn('⚠️ Eye tracking service:', message)
+        });
+
+        console.log(`🐍 Starting edge session at ${this.transport.serverUrl} (landmarks via ${this.local.name})...`);
+        await this.transport.startSession();
+    }
+
+    // Landmarks only - the tracker smooths and calibrates them, then asks decide()
+    async detect(frame) {
+        return this.local.detect(frame);
+    }
+
+    /**
+     * Focus decision from the service for one frame
+     * @param {Object} observation - CVEyeTrackingSystem.getFocusObservation(): smoothed gaze, head pose
+     *   relative to the calibrated baseline, and the student's focus bounds
+     * @returns {Promise<{isFocused: boolean, unfocusReason: string|null}|null>} null when the tracker
+     *   should decide locally; unfocusReason is the service's cause (an UNFOCUS_REASONS key) when unfocused
+     */
+    async decide(observation) {
+        let decision = null;
+        try {
+            decision = await this.transport.sendFeatures(this.toFeatureVector(observation));
+        } catch (error) {
+            // Service unreachable - this frame is decided locally
+            console.debug('Edge focus decision failed:', error.message);
+            return null;
+        }
+
+        // The service still counting down - the local decision stands
+        if (!decision || !decision.success || decision.tracking_state !== 'tracking') {
+            return null;
+        }
+        return { isFocused: !!decision.is_focused, unfocusReason: decision.unfocus_reason || null };
+    }
+
+    toFeatureVector(observation) {
+        const round = (value) => (typeof value === 'number' ? Math.round(value * 1000) / 1000 : null);
+        if (!observation.gaze) {
+            return { face_count: 0 };
+        }
+
+        const pose = observation.headPose || {};
+        const bounds = observation.bounds;
+        return {
+            face_count: observation.faceCount,
+            gaze_x: round(observation.gaze.x),
+            gaze_y: round(observation.gaze.y),
+            ear: round(observation.ear),
+            yaw: round(pose.yaw),
+            pitch: round(pose.pitch),
+            roll: round(pose.roll),
+            pose_confidence: round(pose.confidence),
+            // Calibrated students are judged against their own iris range, not the default box
+            bounds: {
+                horizontal_min: round(bounds.horizontalMin),
+                horizontal_max: round(bounds.horizontalMax),
+                vertical_min: round(bounds.verticalMin),
+                vertical_max: round(bounds.verticalMax)
+            }
+        };
+    }
+
+    setOptions(options) {
+        if (this.local) {
+            this.local.setOptions(options);
+        }
+        if (options.sectionId !== undefined) {
+            this.config.sectionId = options.sectionId;
+            if (this.transport) {
+                this.transport.sectionId = options.sectionId;
+            }
+        }
+    }
+
+    close() {
+        if (this.local) {
+            this.local.close();
+            this.local = null;
+        }
+        if (this.transport) {
+            this.transport.endSession().catch(() => {});
+            this.transport = null;
+        }
+    }
+}
+
+// What each service backend needs from /api/health capabilities (js/service-discovery.js)
+PythonServiceBackend.SERVICE_REQUIREMENTS = {
+    endpoints: ['/api/start_tracking', '/api/process_frame', '/api/stop_tracking'],
+    frameFormats: ['jpeg-base64'],
+    features: ['client-webcam']
+};
+EdgeServiceBackend.SERVICE_REQUIREMENTS = {
+    endpoints: ['/api/start_tracking', '/api/process_features', '/api/stop_tracking'],
+    features: ['edge-features']
+};
+
+const DetectorBackends = {
+    registry: {},
+
+    register(name, BackendClass) {
+        this.registry[name] = BackendClass;
+    },
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.registry, name);
+    },
+
+    create(name, config = {}) {
+        if (!this.has(name)) {
+            throw new Error(`Unknown eye tracking backend: ${name}`);
+        }
+        return new this.registry[name](config);
+    }
+};
+
+DetectorBackends.register('facemesh-worker', FaceMeshWorkerBackend);
+DetectorBackends.register('facemesh', FaceMeshBackend);
+DetectorBackends.register('python-service', PythonServiceBackend);
+DetectorBackends.register('python-edge', EdgeServiceBackend);
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DetectorBackends, FaceMeshWorkerBackend, FaceMeshBackend, PythonServiceBackend, EdgeServiceBackend };
+}
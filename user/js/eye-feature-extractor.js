@@ -0,0 +1,158 @@
+/**
+ * Eye Feature Extractor v1.0
+ * Turns MediaPipe FaceMesh landmarks into the per-frame measurements used for focus detection
+ *
+ * Features:
+ * - Iris position inside the eye box (raw gaze ratio, 0-1)
+ * - Eye aspect ratio (EAR) for both eyes
+ * - Head pose via HeadPoseEstimator when it is loaded
+ * - Primary face selection when several faces are visible
+ * - No DOM access - shared by the page and the FaceMesh worker
+ */
+
+class EyeFeatureExtractor {
+    constructor() {
+        // Eye landmark indices for MediaPipe FaceMesh
+        this.LEFT_EYE = [362, 385, 387, 263, 373, 380];
+        this.RIGHT_EYE = [33, 160, 158, 133, 153, 144];
+        this.LEFT_IRIS = [474, 475, 476, 477];
+        this.RIGHT_IRIS = [469, 470, 471, 472];
+
+        // Additional eye landmarks for EAR (Eye Aspect Ratio)
+        this.LEFT_EYE_VERTICAL = [386, 374]; // Top and bottom of left eye
+        this.RIGHT_EYE_VERTICAL = [159, 145]; // Top and bottom of right eye
+        this.LEFT_EYE_HORIZONTAL = [362, 263]; // Left and right corners
+        this.RIGHT_EYE_HORIZONTAL = [33, 133]; // Left and right corners
+
+        this.headPoseEstimator = typeof HeadPoseEstimator !== 'undefined' ? new HeadPoseEstimator() : null;
+    }
+
+    /**
+     * Extract features for one face
+     * @param {Array<{x:number,y:number,z:number}>} landmarks - 478 normalized FaceMesh landmarks
+     * @param {number} width - source frame width in pixels
+     * @param {number} height - source frame height in pixels
+     * @returns {Object|null} null when the iris landmarks are missing
+     */
+    extract(landmarks, width, height) {
+        if (!landmarks || landmarks.length < 478) {
+            return null; // Need full face mesh with iris landmarks
+        }
+
+        const leftIrisCenter = this.getIrisCenter(landmarks, this.LEFT_IRIS);
+        const rightIrisCenter = this.getIrisCenter(landmarks, this.RIGHT_IRIS);
+        const leftEyeBounds = this.getEyeBounds(landmarks, this.LEFT_EYE);
+        const rightEyeBounds = this.getEyeBounds(landmarks, this.RIGHT_EYE);
+
+        if (!leftIrisCenter || !rightIrisCenter || !leftEyeBounds || !rightEyeBounds) {
+            return null;
+        }
+
+        // Normalized iris position within each eye box, averaged across both eyes
+        const leftGazeX = (leftIrisCenter.x - leftEyeBounds.minX) / (leftEyeBounds.maxX - leftEyeBounds.minX);
+        const rightGazeX = (rightIrisCenter.x - rightEyeBounds.minX) / (rightEyeBounds.maxX - rightEyeBounds.minX);
+        const leftGazeY = (leftIrisCenter.y - leftEyeBounds.minY) / (leftEyeBounds.maxY - leftEyeBounds.minY);
+        const rightGazeY = (rightIrisCenter.y - rightEyeBounds.minY) / (rightEyeBounds.maxY - rightEyeBounds.minY);
+
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+
+        return {
+            gazeDirection: {
+                x: clamp((leftGazeX + rightGazeX) / 2),
+                y: clamp((leftGazeY + rightGazeY) / 2)
+            },
+            eyeAspectRatio: this.calculateEyeAspectRatio(landmarks),
+            headPose: this.headPoseEstimator ? this.headPoseEstimator.estimate(landmarks, width, height) : null,
+            // Just enough geometry to draw the debug overlay
+            overlay: {
+                leftEye: this.LEFT_EYE.map(idx => ({ x: landmarks[idx].x, y: landmarks[idx].y })),
+                rightEye: this.RIGHT_EYE.map(idx => ({ x: landmarks[idx].x, y: landmarks[idx].y })),
+                leftIris: leftIrisCenter,
+                rightIris: rightIrisCenter
+            }
+        };
+    }
+
+    selectPrimaryFace(faces) {
+        if (faces.length === 1) return faces[0];
+
+        // The student is the largest (closest) face in front of the camera
+        let primary = faces[0];
+        let largestArea = -1;
+        for (const face of faces) {
+            const xs = face.map(pt => pt.x);
+            const ys = face.map(pt => pt.y);
+            const area = (Math.max(...xs) - Math.min(...xs)) * (Math.max(...ys) - Math.min(...ys));
+            if (area > largestArea) {
+                largestArea = area;
+                primary = face;
+            }
+        }
+        return primary;
+    }
+
+    getIrisCenter(landmarks, irisIndices) {
+        let sumX = 0, sumY = 0, count = 0;
+
+        for (const idx of irisIndices) {
+            if (landmarks[idx]) {
+                sumX += landmarks[idx].x;
+                sumY += landmarks[idx].y;
+                count++;
+            }
+        }
+
+        if (count === 0) return null;
+
+        return {
+            x: sumX / count,
+            y: sumY / count
+        };
+    }
+
+    getEyeBounds(landmarks, eyeIndices) {
+        let minX = Infinity, maxX = -Infinity;
+        let minY = Infinity, maxY = -Infinity;
+
+        for (const idx of eyeIndices) {
+            if (landmarks[idx]) {
+                minX = Math.min(minX, landmarks[idx].x);
+                maxX = Math.max(maxX, landmarks[idx].x);
+                minY = Math.min(minY, landmarks[idx].y);
+                maxY = Math.max(maxY, landmarks[idx].y);
+            }
+        }
+
+        if (minX === Infinity) return null;
+
+        return { minX, maxX, minY, maxY };
+    }
+
+    calculateEyeAspectRatio(landmarks) {
+        // Simplified EAR: vertical eyelid distance / horizontal eye width
+        const ratio = (vertical, horizontal) => {
+            const [top, bottom] = vertical.map(idx => landmarks[idx]);
+            const [left, right] = horizontal.map(idx => landmarks[idx]);
+            if (!top || !bottom || !left || !right) return null;
+
+            const verticalDistance = Math.hypot(top.x - bottom.x, top.y - bottom.y);
+            const horizontalDistance = Math.hypot(left.x - right.x, left.y - right.y);
+            return horizontalDistance > 0 ? verticalDistance / horizontalDistance : 0;
+        };
+
+        const leftEAR = ratio(this.LEFT_EYE_VERTICAL, this.LEFT_EYE_HORIZONTAL);
+        const rightEAR = ratio(this.RIGHT_EYE_VERTICAL, this.RIGHT_EYE_HORIZONTAL);
+        if (leftEAR === null || rightEAR === null) return null;
+
+        return {
+            left: leftEAR,
+            right: rightEAR,
+            average: (leftEAR + rightEAR) / 2
+        };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EyeFeatureExtractor;
+}
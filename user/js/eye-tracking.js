@@ -1,6 +1,7 @@
 /**
  * Eye Tracking System for Module Learning
  * Tracks user attention and focus time while viewing module content
+ * Requires js/save-outbox.js - saves are queued and retried until the server has them
  */
 
 class EyeTrackingSystem {
@@ -14,11 +15,14 @@ class EyeTrackingSystem {
         this.saveInterval = 30; // Save every 30 seconds
         this.isVisible = true;
         this.hasFocus = true;
+        this.saveOutbox = new SaveOutbox();
         
         this.init();
     }
 
     init() {
+        // Deliver saves left over from earlier visits first
+        this.saveOutbox.flush();
         this.setupEventListeners();
         this.loadPreviousData();
         this.startTracking();
@@ -104,8 +108,8 @@ class EyeTrackingSystem {
             });
         }
 
-        // Save data before page unload
-        window.addEventListener('beforeunload', () => {
+        // Save data when the page goes away - pagehide also fires on mobile and for the back/forward cache
+        window.addEventListener('pagehide', () => {
             this.saveCurrentSession(true);
         });
 
@@ -154,31 +158,34 @@ class EyeTrackingSystem {
 
         if (this.accumulatedTime - this.lastSaveTime > 0) {
             const timeToSave = this.accumulatedTime - this.lastSaveTime;
+            // Once queued, the outbox owns this time - the next save must not send it again
+            this.lastSaveTime = this.accumulatedTime;
+            
+            const saveData = {
+                module_id: this.moduleId,
+                section_id: this.sectionId,
+                time_spent: timeToSave,
+                session_type: 'viewing'
+            };
+            
+            if (isUnloading) {
+                // An awaited request would be cancelled with the page
+                this.saveOutbox.sendBeacon('database/save_eye_tracking_data.php', saveData);
+                return;
+            }
             
             try {
-                const response = await fetch('database/save_eye_tracking_data.php', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        module_id: this.moduleId,
-                        section_id: this.sectionId,
-                        time_spent: timeToSave,
-                        session_type: 'viewing'
-                    }),
-                    keepalive: isUnloading
-                });
+                const { status, result } = await this.saveOutbox.enqueue('database/save_eye_tracking_data.php', saveData);
 
-                if (response.ok) {
-                    const result = await response.json();
-                    if (result.success) {
-                        this.lastSaveTime = this.accumulatedTime;
-                        this.updateTotalTime(result.total_time);
-                        console.log(`Saved ${timeToSave}s, total: ${result.total_time}s`);
-                    }
+                if (status === 'queued') {
+                    console.log(`Queued ${timeToSave}s for retry`);
+                } else if (status === 'delivered' && result.total_time !== undefined) {
+                    this.updateTotalTime(result.total_time);
+                    console.log(`Saved ${timeToSave}s, total: ${result.total_time}s`);
                 }
             } catch (error) {
+                // Not even queued (storage failure) - send it with the next save
+                this.lastSaveTime -= timeToSave;
                 console.error('Failed to save eye tracking data:', error);
             }
         }
@@ -0,0 +1,141 @@
+/**
+ * FaceMesh Web Worker v1.0
+ * Runs MediaPipe Face Landmarker inference off the main thread
+ *
+ * Protocol (postMessage):
+ * - page → worker  { type: 'init', config }            → { type: 'ready' } | { type: 'error', message }
+ * - page → worker  { type: 'frame', frameId, timestamp, width, height, bitmap }  (bitmap is transferred)
+ *                                                      → { type: 'result', frameId, faceCount, features, processingMs }
+ * - page → worker  { type: 'setOptions', numFaces }
+ * - page → worker  { type: 'close' }
+ *
+ * Only extracted features are posted back - frames and raw landmarks stay in the worker.
+ * With config.assetBaseUrl set, every model/WASM file comes from that self-hosted folder
+ * and is checked against its manifest before use.
+ */
+
+// Classic worker: the tasks-vision CommonJS bundle writes its API onto `exports`
+var exports = {};
+
+importScripts('head-pose-estimator.js', 'eye-feature-extractor.js', 'model-asset-loader.js');
+
+let faceLandmarker = null;
+let featureExtractor = null;
+let lastTimestamp = 0;
+
+async function loadSelfHosted(assetBaseUrl) {
+    const assets = new ModelAssetLoader(assetBaseUrl);
+    await assets.loadManifest();
+
+    importScripts(await assets.getVerifiedUrl('tasks-vision/vision_bundle.cjs', 'text/javascript'));
+
+    const variant = await exports.FilesetResolver.isSimdSupported() ? 'vision_wasm_internal' : 'vision_wasm_nosimd_internal';
+    return {
+        fileset: {
+            wasmLoaderPath: await assets.getVerifiedUrl(`tasks-vision/wasm/${variant}.js`, 'text/javascript'),
+            wasmBinaryPath: await assets.getVerifiedUrl(`tasks-vision/wasm/${variant}.wasm`, 'application/wasm')
+        },
+        model: { modelAssetBuffer: new Uint8Array(await assets.fetchVerified('models/face_landmarker.task')) }
+    };
+}
+
+async function loadFromCdn(config) {
+    importScripts(config.visionBundleUrl);
+
+    return {
+        fileset: await exports.FilesetResolver.forVisionTasks(config.wasmPath),
+        model: { modelAssetPath: config.modelAssetPath }
+    };
+}
+
+async function initialize(config) {
+    const { fileset, model } = config.assetBaseUrl
+        ? await loadSelfHosted(config.assetBaseUrl)
+        : await loadFromCdn(config);
+    const { FaceLandmarker } = exports;
+
+    const options = {
+        baseOptions: {
+            ...model,
+            delegate: 'GPU'
+        },
+        runningMode: 'VIDEO',
+        numFaces: config.numFaces || 1,
+        minFaceDetectionConfidence: 0.5,
+        minTrackingConfidence: 0.5
+    };
+
+    try {
+        // GPU inference needs a canvas - workers only have OffscreenCanvas
+        faceLandmarker = await FaceLandmarker.createFromOptions(fileset, {
+            ...options,
+            canvas: new OffscreenCanvas(1, 1)
+        });
+    } catch (gpuError) {
+        console.warn('[facemesh-worker] GPU delegate unavailable, using CPU:', gpuError.message);
+        options.baseOptions.delegate = 'CPU';
+        faceLandmarker = await FaceLandmarker.createFromOptions(fileset, options);
+    }
+
+    featureExtractor = new EyeFeatureExtractor();
+}
+
+function processFrame({ frameId, timestamp, width, height, bitmap }) {
+    const started = performance.now();
+
+    // detectForVideo requires strictly increasing timestamps
+    const frameTimestamp = Math.max(timestamp, lastTimestamp + 1);
+    lastTimestamp = frameTimestamp;
+
+    let faces = [];
+    try {
+        const result = faceLandmarker.detectForVideo(bitmap, frameTimestamp);
+        faces = result.faceLandmarks || [];
+    } finally {
+        bitmap.close();
+    }
+
+    const primary = faces.length > 0 ? featureExtractor.selectPrimaryFace(faces) : null;
+
+    self.postMessage({
+        type: 'result',
+        frameId,
+        faceCount: faces.length,
+        features: primary ? featureExtractor.extract(primary, width, height) : null,
+        processingMs: performance.now() - started
+    });
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    try {
+        switch (message.type) {
+            case 'init':
+                await initialize(message.config);
+                self.postMessage({ type: 'ready' });
+                break;
+            case 'frame':
+                if (!faceLandmarker) {
+                    message.bitmap.close();
+                    return;
+                }
+                processFrame(message);
+                break;
+            case 'setOptions':
+                if (faceLandmarker) {
+                    await faceLandmarker.setOptions({ numFaces: message.numFaces });
+                }
+                break;
+            case 'close':
+                if (faceLandmarker) {
+                    faceLandmarker.close();
+                    faceLandmarker = null;
+                }
+                self.close();
+                break;
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', frameId: message.frameId, message: error.message, name: error.name });
+    }
+};
@@ -0,0 +1,81 @@
+/**
+ * Focus Timeline v1.0
+ * Records when focus started and ended, not just the running totals
+ *
+ * Features:
+ * - One interval per focus/unfocus stretch with start/end time, section ID and reason
+ * - Offsets from the start of the section so sessions can be lined up against each other
+ * - Bounded - the oldest intervals are dropped (and counted) once maxIntervals is reached,
+ *   keeping saves well under the 64 KB sendBeacon limit
+ * - No DOM access - fed transitions from CVEyeTrackingSystem.handleFocusChange()
+ */
+
+class FocusTimeline {
+    constructor(options = {}) {
+        this.maxIntervals = options.maxIntervals || 200;
+
+        this.id = options.id || Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        this.intervals = [];   // { start, end, focused, reason, sectionId } times in ms
+        this.current = null;
+        this.sectionStartedAt = null;
+        this.dropped = 0;
+    }
+
+    /**
+     * Start timing a section - the tracker starts every section unfocused
+     * @param {number} now - time in ms
+     */
+    startSection(sectionId, now) {
+        this.sectionStartedAt = now;
+        this.transition(false, 'section_start', sectionId, now);
+    }
+
+    /**
+     * Close the current interval and open the next one
+     * @param {boolean} focused - state of the new interval
+     * @param {string} reason - why the state changed (e.g. gaze, no_face)
+     */
+    transition(focused, reason, sectionId, now) {
+        if (this.current) {
+            this.current.end = now;
+        }
+
+        this.current = { start: now, end: null, focused, reason, sectionId, sectionStartedAt: this.sectionStartedAt };
+        this.intervals.push(this.current);
+
+        if (this.intervals.length > this.maxIntervals) {
+            this.intervals.shift();
+            this.dropped++;
+        }
+    }
+
+    // Close the open interval (session over) - later transitions start a new one
+    end(now) {
+        if (this.current) {
+            this.current.end = now;
+            this.current = null;
+        }
+    }
+
+    getSummary(now = Date.now()) {
+        const seconds = (ms) => Math.round(ms / 100) / 10;
+        return {
+            focus_timeline_id: this.id,
+            focus_timeline_dropped: this.dropped,
+            focus_timeline: this.intervals.map(interval => ({
+                state: interval.focused ? 'focused' : 'unfocused',
+                reason: interval.reason,
+                section_id: interval.sectionId,
+                started_at: new Date(interval.start).toISOString(),
+                ended_at: interval.end !== null ? new Date(interval.end).toISOString() : null,
+                offset: seconds(interval.start - interval.sectionStartedAt),
+                duration: seconds((interval.end !== null ? interval.end : now) - interval.start)
+            }))
+        };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FocusTimeline;
+}
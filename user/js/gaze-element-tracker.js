@@ -0,0 +1,130 @@
+/**
+ * Gaze Element Tracker v1.0
+ * Resolves on-screen gaze points to module content elements and accumulates dwell time
+ *
+ * Features:
+ * - Hit-tests gaze points against the module content (paragraphs, headings, images, videos...)
+ * - Stable per-page element ids (data-gaze-id, e.g. "p-3", "img-0") so sessions can be compared
+ * - Dwell time and visit count per element, capped at the most-viewed elements
+ */
+
+class GazeElementTracker {
+    constructor(options = {}) {
+        this.contentSelector = options.contentSelector || '.module-content';
+        this.elementSelector = options.elementSelector ||
+            'p, li, h1, h2, h3, h4, h5, h6, img, video, iframe, figure, table, pre, blockquote';
+        this.maxSampleGapMs = options.maxSampleGapMs || 1000; // Longer gaps (dropped frames, calibration) aren't dwell
+        this.maxElements = options.maxElements || 50;          // Elements kept in the saved summary
+
+        this.dwell = new Map(); // id -> { id, type, label, dwellMs, visits }
+        this.currentId = null;
+        this.lastSampleAt = null;
+    }
+
+    /**
+     * Record one gaze sample
+     * @param {{x:number,y:number}|null} point - viewport pixels, or null when gaze is off-screen / unfocused
+     * @param {number} now - sample time in ms
+     * @returns {Element|null} element under the gaze point
+     */
+    record(point, now = Date.now()) {
+        // The time since the last sample belongs to whatever was being looked at then
+        if (this.currentId && this.lastSampleAt !== null) {
+            const elapsed = now - this.lastSampleAt;
+            if (elapsed <= this.maxSampleGapMs) {
+                this.dwell.get(this.currentId).dwellMs += elapsed;
+            }
+        }
+
+        const element = point ? this.resolve(point.x, point.y) : null;
+        const id = element ? this.getElementId(element) : null;
+
+        if (id && id !== this.currentId) {
+            if (!this.dwell.has(id)) {
+                this.dwell.set(id, {
+                    id,
+                    type: element.tagName.toLowerCase(),
+                    label: this.describe(element),
+                    dwellMs: 0,
+                    visits: 0
+                });
+            }
+            this.dwell.get(id).visits++;
+        }
+
+        this.currentId = id;
+        this.lastSampleAt = now;
+        return element;
+    }
+
+    resolve(x, y) {
+        if (x < 0 || y < 0 || x >= window.innerWidth || y >= window.innerHeight) {
+            return null;
+        }
+
+        const hit = document.elementFromPoint(x, y);
+        if (!hit) return null;
+
+        // Only module content counts - the tracker widget, sidebar and nav are ignored
+        const container = hit.closest(this.contentSelector);
+        if (!container) return null;
+
+        const element = hit.closest(this.elementSelector);
+        return element && container.contains(element) ? element : null;
+    }
+
+    getElementId(element) {
+        if (!element.dataset.gazeId) {
+            this.indexElements(element.closest(this.contentSelector));
+        }
+        return element.dataset.gazeId;
+    }
+
+    indexElements(container) {
+        // Ids follow document order per tag, so the same section content gets the same ids every visit
+        const counters = {};
+        container.querySelectorAll(this.elementSelector).forEach(element => {
+            const tag = element.tagName.toLowerCase();
+            counters[tag] = (counters[tag] || 0) + 1;
+            element.dataset.gazeId = `${tag}-${counters[tag] - 1}`;
+        });
+    }
+
+    describe(element) {
+        const tag = element.tagName.toLowerCase();
+        const fileName = (src) => (src || '').split('/').pop().split('?')[0];
+
+        if (tag === 'img') {
+            return element.alt || fileName(element.currentSrc || element.src);
+        }
+        if (tag === 'video' || tag === 'iframe') {
+            return element.title || fileName(element.currentSrc || element.src);
+        }
+
+        const text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+        return text.length > 80 ? text.slice(0, 77) + '...' : text;
+    }
+
+    getCurrentElementId() {
+        return this.currentId;
+    }
+
+    getSummary() {
+        return [...this.dwell.values()]
+            .filter(entry => entry.dwellMs > 0)
+            .sort((a, b) => b.dwellMs - a.dwellMs)
+            .slice(0, this.maxElements)
+            .map(entry => ({
+                id: entry.id,
+                type: entry.type,
+                label: entry.label,
+                dwell_time: Math.round(entry.dwellMs / 100) / 10,
+                visits: entry.visits
+            }));
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GazeElementTracker;
+}
@@ -0,0 +1,172 @@
+/**
+ * Gaze Event Classifier v1.0
+ * Splits a stream of gaze samples into fixations and saccades (dispersion-threshold, I-DT)
+ *
+ * Features:
+ * - Online classification - events are emitted as soon as they end
+ * - Fixations with start/end time, duration and centroid position
+ * - Saccades between consecutive fixations with amplitude; tracking gaps are not counted as saccades
+ * - Running session aggregates (counts, mean durations)
+ * - No DOM access - positions are in whatever normalized space the caller feeds in
+ */
+
+class GazeEventClassifier {
+    constructor(options = {}) {
+        this.maxDispersion = options.maxDispersion || 0.08; // (maxX - minX) + (maxY - minY), normalized screen units
+        this.minFixationMs = options.minFixationMs || 100;   // Shorter stable stretches are not fixations
+        this.maxSaccadeMs = options.maxSaccadeMs || 400;     // Longer gaps between fixations are lost tracking
+
+        this.onFixation = options.onFixation || (() => {});
+        this.onSaccade = options.onSaccade || (() => {});
+
+        this.window = [];          // Samples of the current (candidate) fixation
+        this.bounds = null;
+        this.inFixation = false;
+        this.lastFixation = null;
+
+        this.stats = {
+            fixationCount: 0,
+            totalFixationMs: 0,
+            saccadeCount: 0,
+            totalSaccadeMs: 0,
+            totalSaccadeAmplitude: 0
+        };
+    }
+
+    /**
+     * Add one gaze sample
+     * @param {number} t - sample time in ms
+     * @param {number} x - normalized horizontal position
+     * @param {number} y - normalized vertical position
+     */
+    addSample(t, x, y) {
+        const sample = { t, x, y };
+
+        if (this.inFixation) {
+            // Fixations can run for many seconds - grow the bounds instead of rescanning the window
+            const bounds = this.extendBounds(this.bounds, sample);
+            if (this.dispersionOf(bounds) <= this.maxDispersion) {
+                this.window.push(sample);
+                this.bounds = bounds;
+                return;
+            }
+
+            // Gaze left the fixation area - it ended at the previous sample
+            this.endFixation();
+            this.window = [sample];
+            this.bounds = this.extendBounds(null, sample);
+            return;
+        }
+
+        this.window.push(sample);
+        this.bounds = this.window.reduce((bounds, s) => this.extendBounds(bounds, s), null);
+
+        // Not a fixation yet - slide the window start until the samples are close together again
+        while (this.window.length > 1 && this.dispersionOf(this.bounds) > this.maxDispersion) {
+            this.window.shift();
+            this.bounds = this.window.reduce((bounds, s) => this.extendBounds(bounds, s), null);
+        }
+
+        if (this.window[this.window.length - 1].t - this.window[0].t >= this.minFixationMs) {
+            this.startFixation();
+        }
+    }
+
+    /**
+     * Tracking was lost (no face, eyes closed) - close any fixation and don't bridge the gap with a saccade
+     */
+    interrupt() {
+        if (this.inFixation) {
+            this.endFixation();
+        }
+        this.window = [];
+        this.bounds = null;
+        this.lastFixation = null;
+    }
+
+    startFixation() {
+        this.inFixation = true;
+
+        const previous = this.lastFixation;
+        if (!previous) return;
+
+        const start = this.window[0];
+        const duration = start.t - previous.end;
+        if (duration > this.maxSaccadeMs) return;
+
+        const to = this.centroid(this.window);
+        const saccade = {
+            type: 'saccade',
+            start: previous.end,
+            end: start.t,
+            duration,
+            from: { x: previous.x, y: previous.y },
+            to,
+            amplitude: Math.hypot(to.x - previous.x, to.y - previous.y)
+        };
+
+        this.stats.saccadeCount++;
+        this.stats.totalSaccadeMs += saccade.duration;
+        this.stats.totalSaccadeAmplitude += saccade.amplitude;
+        this.onSaccade(saccade);
+    }
+
+    endFixation() {
+        const first = this.window[0];
+        const last = this.window[this.window.length - 1];
+        const { x, y } = this.centroid(this.window);
+
+        const fixation = {
+            type: 'fixation',
+            start: first.t,
+            end: last.t,
+            duration: last.t - first.t,
+            x,
+            y,
+            samples: this.window.length
+        };
+
+        this.inFixation = false;
+        this.lastFixation = fixation;
+        this.stats.fixationCount++;
+        this.stats.totalFixationMs += fixation.duration;
+        this.onFixation(fixation);
+    }
+
+    extendBounds(bounds, sample) {
+        if (!bounds) {
+            return { minX: sample.x, maxX: sample.x, minY: sample.y, maxY: sample.y };
+        }
+        return {
+            minX: Math.min(bounds.minX, sample.x),
+            maxX: Math.max(bounds.maxX, sample.x),
+            minY: Math.min(bounds.minY, sample.y),
+            maxY: Math.max(bounds.maxY, sample.y)
+        };
+    }
+
+    dispersionOf(bounds) {
+        return (bounds.maxX - bounds.minX) + (bounds.maxY - bounds.minY);
+    }
+
+    centroid(samples) {
+        const sum = samples.reduce((acc, s) => ({ x: acc.x + s.x, y: acc.y + s.y }), { x: 0, y: 0 });
+        return { x: sum.x / samples.length, y: sum.y / samples.length };
+    }
+
+    getSummary() {
+        const { fixationCount, totalFixationMs, saccadeCount, totalSaccadeMs, totalSaccadeAmplitude } = this.stats;
+        return {
+            fixationCount,
+            meanFixationMs: fixationCount > 0 ? totalFixationMs / fixationCount : 0,
+            saccadeCount,
+            meanSaccadeMs: saccadeCount > 0 ? totalSaccadeMs / saccadeCount : 0,
+            meanSaccadeAmplitude: saccadeCount > 0 ? totalSaccadeAmplitude / saccadeCount : 0
+        };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GazeEventClassifier;
+}
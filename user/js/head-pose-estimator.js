@@ -0,0 +1,196 @@
+/**
+ * Head Pose Estimator v1.0
+ * Fits a canonical 3D face model to MediaPipe FaceMesh landmarks
+ *
+ * Features:
+ * - Rigid similarity fit (rotation + scale + translation) using Horn's quaternion method
+ * - Yaw/pitch/roll in real degrees
+ * - Fit confidence from the residual between the model and the observed face
+ * - No DOM access - safe to load in a Web Worker via importScripts()
+ */
+
+class HeadPoseEstimator {
+    constructor(options = {}) {
+        // Canonical face model (y up, z toward the camera, nose tip at the origin).
+        // "Left"/"right" are as seen in the camera image, matching FaceMesh landmark layout.
+        this.modelPoints = options.modelPoints || [
+            { index: 1,   point: [0, 0, 0] },           // Nose tip
+            { index: 152, point: [0, -330, -65] },      // Chin
+            { index: 33,  point: [-225, 170, -135] },   // Image-left eye outer corner
+            { index: 263, point: [225, 170, -135] },    // Image-right eye outer corner
+            { index: 61,  point: [-150, -150, -125] },  // Image-left mouth corner
+            { index: 291, point: [150, -150, -125] }    // Image-right mouth corner
+        ];
+
+        // Normalized RMS residual at which confidence reaches zero
+        this.maxResidual = options.maxResidual || 0.25;
+
+        // Pre-center the model once - it never changes
+        this.modelCentroid = this.centroid(this.modelPoints.map(m => m.point));
+        this.centeredModel = this.modelPoints.map(m => this.subtract(m.point, this.modelCentroid));
+        this.modelRms = Math.sqrt(
+            this.centeredModel.reduce((sum, q) => sum + this.dot(q, q), 0) / this.centeredModel.length
+        );
+    }
+
+    /**
+     * Estimate head pose from FaceMesh landmarks (normalized 0-1 x/y, z relative to width)
+     * @param {Array<{x:number,y:number,z:number}>} landmarks
+     * @param {number} width - source frame width in pixels
+     * @param {number} height - source frame height in pixels
+     * @returns {{yaw:number,pitch:number,roll:number,confidence:number}|null}
+     */
+    estimate(landmarks, width, height) {
+        if (!landmarks) return null;
+
+        const observed = [];
+        for (const { index } of this.modelPoints) {
+            const lm = landmarks[index];
+            if (!lm) return null;
+            // Convert to the model's frame: y up, z toward the camera
+            observed.push([lm.x * width, -lm.y * height, -(lm.z || 0) * width]);
+        }
+
+        const observedCentroid = this.centroid(observed);
+        const centeredObserved = observed.map(p => this.subtract(p, observedCentroid));
+
+        const observedRms = Math.sqrt(
+            centeredObserved.reduce((sum, p) => sum + this.dot(p, p), 0) / centeredObserved.length
+        );
+        if (observedRms === 0) return null;
+
+        const rotation = this.solveRotation(this.centeredModel, centeredObserved);
+        const scale = observedRms / this.modelRms;
+
+        // Residual of the fitted model, normalized by face size
+        let squaredError = 0;
+        for (let i = 0; i < centeredObserved.length; i++) {
+            const fitted = this.multiply(rotation, this.centeredModel[i]).map(v => v * scale);
+            const error = this.subtract(centeredObserved[i], fitted);
+            squaredError += this.dot(error, error);
+        }
+        const residual = Math.sqrt(squaredError / centeredObserved.length) / observedRms;
+        const confidence = Math.max(0, Math.min(1, 1 - residual / this.maxResidual));
+
+        return { ...this.toEulerDegrees(rotation), confidence };
+    }
+
+    solveRotation(model, observed) {
+        // Cross-covariance S[a][b] = sum(model_a * observed_b)
+        const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        for (let i = 0; i < model.length; i++) {
+            for (let a = 0; a < 3; a++) {
+                for (let b = 0; b < 3; b++) {
+                    S[a][b] += model[i][a] * observed[i][b];
+                }
+            }
+        }
+
+        const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+        const N = [
+            [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+            [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+            [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+            [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+        ];
+
+        // The optimal rotation is the eigenvector of N with the largest eigenvalue
+        const { values, vectors } = this.jacobiEigen(N);
+        let best = 0;
+        for (let i = 1; i < 4; i++) {
+            if (values[i] > values[best]) best = i;
+        }
+        const [w, x, y, z] = vectors.map(row => row[best]);
+
+        return [
+            [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+            [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+            [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+        ];
+    }
+
+    toEulerDegrees(R) {
+        // R = Rz(roll) * Ry(yaw) * Rx(pitch)
+        const toDegrees = 180 / Math.PI;
+        const yaw = Math.asin(Math.max(-1, Math.min(1, -R[2][0])));
+        const pitch = Math.atan2(R[2][1], R[2][2]);
+        const roll = Math.atan2(R[1][0], R[0][0]);
+
+        return {
+            yaw: yaw * toDegrees,
+            pitch: pitch * toDegrees,
+            roll: roll * toDegrees
+        };
+    }
+
+    jacobiEigen(matrix) {
+        // Cyclic Jacobi rotations for a small symmetric matrix
+        const n = matrix.length;
+        const A = matrix.map(row => [...row]);
+        const V = A.map((row, i) => row.map((_, j) => (i === j ? 1 : 0)));
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    offDiagonal += A[p][q] * A[p][q];
+                }
+            }
+            if (offDiagonal < 1e-18) break;
+
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (Math.abs(A[p][q]) < 1e-30) continue;
+
+                    const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < n; k++) {
+                        const akp = A[k][p];
+                        const akq = A[k][q];
+                        A[k][p] = c * akp - s * akq;
+                        A[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const apk = A[p][k];
+                        const aqk = A[q][k];
+                        A[p][k] = c * apk - s * aqk;
+                        A[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = V[k][p];
+                        const vkq = V[k][q];
+                        V[k][p] = c * vkp - s * vkq;
+                        V[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        return { values: A.map((row, i) => row[i]), vectors: V };
+    }
+
+    centroid(points) {
+        const sum = points.reduce((acc, p) => [acc[0] + p[0], acc[1] + p[1], acc[2] + p[2]], [0, 0, 0]);
+        return sum.map(v => v / points.length);
+    }
+
+    subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+    }
+
+    dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    multiply(R, v) {
+        return [this.dot(R[0], v), this.dot(R[1], v), this.dot(R[2], v)];
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeadPoseEstimator;
+}
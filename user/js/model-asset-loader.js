@@ -0,0 +1,125 @@
+/**
+ * Model Asset Loader v1.0
+ * Loads self-hosted MediaPipe model/WASM files and checks them against a SHA-256 manifest
+ *
+ * Features:
+ * - Reads manifest.json ({ version: 1, files: { "<path>": "sha256-<base64>" } }) from the asset base URL
+ * - Rejects files that are missing, unlisted or whose hash does not match
+ * - Hands out blob: URLs for verified bytes so the browser never re-fetches unchecked copies
+ * - No DOM access - used by the page and by facemesh-worker.js
+ * - Needs a secure context (HTTPS or localhost) - browsers only offer crypto.subtle there
+ *
+ * The asset folder and manifest are produced by fetch_mediapipe_assets.py.
+ */
+
+class ModelAssetError extends Error {
+    constructor(message, path = null) {
+        super(message);
+        this.name = 'ModelAssetError';
+        this.path = path;
+    }
+}
+
+class ModelAssetLoader {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl.endsWith('/') ? baseUrl : baseUrl + '/';
+        this.manifest = null;
+        this.objectUrls = {};
+    }
+
+    async loadManifest() {
+        if (this.manifest) return this.manifest;
+        this.checkSecureContext();
+
+        const url = this.baseUrl + 'manifest.json';
+        let response;
+        try {
+            response = await fetch(url, { cache: 'no-cache' });
+        } catch (error) {
+            throw new ModelAssetError(`Eye tracking model files could not be reached at ${this.baseUrl} (${error.message})`);
+        }
+
+        if (!response.ok) {
+            throw new ModelAssetError(
+                `Eye tracking model files are missing: ${url} returned HTTP ${response.status}. ` +
+                'Run fetch_mediapipe_assets.py and copy the folder to the server.'
+            );
+        }
+
+        const manifest = await response.json();
+        if (manifest.version !== 1 || !manifest.files) {
+            throw new ModelAssetError(`Unsupported eye tracking asset manifest at ${url}`);
+        }
+
+        this.manifest = manifest;
+        return manifest;
+    }
+
+    // Fail before any download rather than on the first hash
+    checkSecureContext() {
+        const secure = typeof isSecureContext === 'undefined' || isSecureContext;
+        if (!secure || typeof crypto === 'undefined' || !crypto.subtle) {
+            throw new ModelAssetError(
+                'Self-hosted eye tracking model files can only be verified over HTTPS (or on localhost) - ' +
+                'serve the site over HTTPS or load the model from the CDN.'
+            );
+        }
+    }
+
+    listFiles(prefix) {
+        return Object.keys(this.manifest.files).filter(path => path.startsWith(prefix));
+    }
+
+    integrityFor(path) {
+        return this.manifest ? this.manifest.files[path] || null : null;
+    }
+
+    async fetchVerified(path) {
+        await this.loadManifest();
+
+        const expected = this.integrityFor(path);
+        if (!expected) {
+            throw new ModelAssetError(`Eye tracking asset ${path} is not listed in the manifest`, path);
+        }
+
+        const response = await fetch(this.baseUrl + path);
+        if (!response.ok) {
+            throw new ModelAssetError(`Eye tracking asset ${path} is missing (HTTP ${response.status})`, path);
+        }
+
+        const buffer = await response.arrayBuffer();
+        const actual = await this.digest(buffer);
+        if (actual !== expected) {
+            throw new ModelAssetError(`Eye tracking asset ${path} failed its integrity check - re-copy the model files`, path);
+        }
+
+        return buffer;
+    }
+
+    async getVerifiedUrl(path, type = 'application/octet-stream') {
+        if (!this.objectUrls[path]) {
+            const buffer = await this.fetchVerified(path);
+            this.objectUrls[path] = URL.createObjectURL(new Blob([buffer], { type }));
+        }
+        return this.objectUrls[path];
+    }
+
+    async digest(buffer) {
+        const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', buffer));
+        let binary = '';
+        for (const byte of hash) {
+            binary += String.fromCharCode(byte);
+        }
+        return 'sha256-' + btoa(binary);
+    }
+
+    release() {
+        Object.values(this.objectUrls).forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = {};
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelAssetLoader, ModelAssetError };
+}
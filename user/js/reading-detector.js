@@ -0,0 +1,122 @@
+/**
+ * Reading Detector v1.0
+ * Tells line-by-line reading apart from skimming and idle staring
+ *
+ * Features:
+ * - Reading = mostly short forward saccades along a line plus "return sweeps" to the next line
+ * - Skimming = large or erratic jumps, or scrolling faster than anyone reads
+ * - Staring = eyes parked in one place with no movement and no scrolling
+ * - Accumulates focused time per mode; anything without a clear pattern counts as plain looking
+ * - No DOM access - fed saccades from GazeEventClassifier and scroll distances from the page
+ */
+
+class ReadingDetector {
+    constructor(options = {}) {
+        this.windowMs = options.windowMs || 4000;                 // Evidence window
+        this.direction = options.direction === 'rtl' ? -1 : 1;    // Text direction of the content
+        this.maxForwardX = options.maxForwardX || 0.15;           // Forward saccade along a line (screen widths)
+        this.maxLineDriftY = options.maxLineDriftY || 0.04;       // Vertical drift allowed within a line
+        this.minReturnX = options.minReturnX || 0.2;              // Return sweep back to the start of a line
+        this.maxReturnDropY = options.maxReturnDropY || 0.12;     // ...landing at most this far down
+        this.minReadingSaccades = options.minReadingSaccades || 3;
+        this.readingRatio = options.readingRatio || 0.6;          // Share of reading-like saccades in the window
+        this.staringMs = options.staringMs || 2500;               // No movement this long = staring
+        this.skimScrollRate = options.skimScrollRate || 0.35;     // Viewport heights per second
+        this.maxFrameGapMs = options.maxFrameGapMs || 1000;       // Longer gaps between updates aren't counted
+
+        this.saccades = [];   // { t, kind }
+        this.scrolls = [];    // { t, amount } amount in viewport heights
+        this.lastMovementAt = null;
+        this.lastUpdateAt = null;
+
+        this.mode = 'unfocused';
+        this.times = { reading: 0, skimming: 0, staring: 0, looking: 0 }; // ms
+    }
+
+    addSaccade(saccade) {
+        this.saccades.push({ t: saccade.end, kind: this.classifySaccade(saccade) });
+        this.lastMovementAt = saccade.end;
+    }
+
+    addScroll(t, viewportHeights) {
+        this.scrolls.push({ t, amount: Math.abs(viewportHeights) });
+        this.lastMovementAt = t;
+    }
+
+    classifySaccade(saccade) {
+        const dx = (saccade.to.x - saccade.from.x) * this.direction;
+        const dy = saccade.to.y - saccade.from.y;
+
+        if (dx > 0 && dx <= this.maxForwardX && Math.abs(dy) <= this.maxLineDriftY) {
+            return 'forward';
+        }
+        if (dx <= -this.minReturnX && dy >= 0 && dy <= this.maxReturnDropY) {
+            return 'return';
+        }
+        if (dx < 0 && -dx < this.minReturnX && Math.abs(dy) <= this.maxLineDriftY) {
+            return 'regression'; // Re-reading a word - neither evidence for nor against reading
+        }
+        return 'jump';
+    }
+
+    /**
+     * Advance the clock and attribute the elapsed time to the current mode
+     * @param {number} now - time in ms
+     * @param {boolean} focused - tracker focus state; unfocused time is not reading time
+     * @returns {string} reading | skimming | staring | looking | unfocused
+     */
+    update(now, focused) {
+        const windowStart = now - this.windowMs;
+        while (this.saccades.length > 0 && this.saccades[0].t < windowStart) this.saccades.shift();
+        while (this.scrolls.length > 0 && this.scrolls[0].t < windowStart) this.scrolls.shift();
+
+        const elapsed = this.lastUpdateAt !== null ? now - this.lastUpdateAt : 0;
+        if (this.mode !== 'unfocused' && elapsed <= this.maxFrameGapMs) {
+            this.times[this.mode] += elapsed;
+        }
+
+        this.mode = focused ? this.classify(now) : 'unfocused';
+        this.lastUpdateAt = now;
+        return this.mode;
+    }
+
+    classify(now) {
+        // Text scrolling past faster than it can be read
+        const scrolled = this.scrolls.reduce((sum, s) => sum + s.amount, 0);
+        if (scrolled / (this.windowMs / 1000) >= this.skimScrollRate) {
+            return 'skimming';
+        }
+
+        if (this.lastMovementAt === null || now - this.lastMovementAt >= this.staringMs) {
+            return 'staring';
+        }
+
+        const counts = { forward: 0, return: 0, regression: 0, jump: 0 };
+        this.saccades.forEach(s => counts[s.kind]++);
+
+        const readingLike = counts.forward + counts.return;
+        const considered = readingLike + counts.jump;
+        if (counts.forward >= this.minReadingSaccades && readingLike / considered >= this.readingRatio) {
+            return 'reading';
+        }
+        if (counts.jump >= 2) {
+            return 'skimming';
+        }
+        return 'looking';
+    }
+
+    getSummary() {
+        const seconds = (ms) => Math.round(ms / 1000);
+        return {
+            reading: seconds(this.times.reading),
+            skimming: seconds(this.times.skimming),
+            staring: seconds(this.times.staring),
+            looking: seconds(this.times.looking)
+        };
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReadingDetector;
+}
@@ -0,0 +1,172 @@
+/**
+ * Signal Filters v1.0
+ * Smooths landmark jitter out of per-frame measurements before focus decisions
+ *
+ * Features:
+ * - One-Euro filter: little lag on fast movements, strong smoothing when still
+ * - 1D Kalman filter (random-walk model) as an alternative
+ * - Both are frame-rate independent - they use the real time between frames
+ * - FeatureSmoother applies one filter per channel to the gaze ratio (iris position in the eye box)
+ *   and to head yaw/pitch/roll; filters restart after a tracking gap
+ * - No DOM access
+ */
+
+class OneEuroFilter {
+    /**
+     * @param {Object} options - minCutoff (Hz) smoothing when still, beta speed response, dCutoff (Hz) for the derivative
+     */
+    constructor(options = {}) {
+        this.minCutoff = options.minCutoff !== undefined ? options.minCutoff : 1.0;
+        this.beta = options.beta !== undefined ? options.beta : 0;
+        this.dCutoff = options.dCutoff !== undefined ? options.dCutoff : 1.0;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.lastTime = null;
+    }
+
+    alpha(cutoff, dt) {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+
+    /**
+     * @param {number} value - new measurement
+     * @param {number} t - time in ms
+     * @returns {number} filtered value
+     */
+    filter(value, t) {
+        if (this.value === null) {
+            this.value = value;
+            this.lastTime = t;
+            return value;
+        }
+
+        const dt = Math.max((t - this.lastTime) / 1000, 1e-3);
+        this.lastTime = t;
+
+        const rawDerivative = (value - this.value) / dt;
+        this.derivative += this.alpha(this.dCutoff, dt) * (rawDerivative - this.derivative);
+
+        // Faster movement raises the cutoff - less lag exactly when the gaze really moves
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+        this.value += this.alpha(cutoff, dt) * (value - this.value);
+        return this.value;
+    }
+}
+
+class KalmanFilter1D {
+    /**
+     * @param {Object} options - processNoise (variance per second the true value drifts), measurementNoise (variance of one measurement)
+     */
+    constructor(options = {}) {
+        this.processNoise = options.processNoise !== undefined ? options.processNoise : 0.01;
+        this.measurementNoise = options.measurementNoise !== undefined ? options.measurementNoise : 0.001;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.variance = 0;
+        this.lastTime = null;
+    }
+
+    filter(value, t) {
+        if (this.value === null) {
+            this.value = value;
+            this.variance = this.measurementNoise;
+            this.lastTime = t;
+            return value;
+        }
+
+        const dt = Math.max((t - this.lastTime) / 1000, 1e-3);
+        this.lastTime = t;
+
+        // Predict: the value may have drifted since the last frame
+        this.variance += this.processNoise * dt;
+
+        // Update: weigh the measurement by how much we trust it
+        const gain = this.variance / (this.variance + this.measurementNoise);
+        this.value += gain * (value - this.value);
+        this.variance *= 1 - gain;
+        return this.value;
+    }
+}
+
+class FeatureSmoother {
+    /**
+     * @param {Object} config - { method: 'one-euro' | 'kalman' | 'none', maxGapMs, gaze: {...}, headPose: {...} }
+     *   gaze/headPose hold the parameters of the chosen filter
+     */
+    constructor(config = {}) {
+        this.method = config.method || 'one-euro';
+        this.maxGapMs = config.maxGapMs || 500;
+        this.lastTime = null;
+
+        const Filter = FeatureSmoother.FILTERS[this.method];
+        if (this.method !== 'none' && !Filter) {
+            console.warn(`⚠️ Unknown smoothing method "${this.method}" - smoothing disabled`);
+            this.method = 'none';
+        }
+
+        const create = (params) => (this.method === 'none' ? null : new Filter(params || {}));
+        this.filters = {
+            gazeX: create(config.gaze),
+            gazeY: create(config.gaze),
+            yaw: create(config.headPose),
+            pitch: create(config.headPose),
+            roll: create(config.headPose)
+        };
+    }
+
+    /**
+     * Smooth one frame's features - the input is not modified
+     * @param {Object} features - EyeFeatureExtractor output
+     * @param {number} t - time in ms
+     * @returns {Object} features with smoothed gazeDirection and headPose
+     */
+    apply(features, t) {
+        if (this.method === 'none') return features;
+
+        // After a tracking gap the old state says nothing about the new position
+        if (this.lastTime !== null && t - this.lastTime > this.maxGapMs) {
+            this.reset();
+        }
+        this.lastTime = t;
+
+        const smoothed = { ...features };
+        if (features.gazeDirection) {
+            smoothed.gazeDirection = {
+                x: this.filters.gazeX.filter(features.gazeDirection.x, t),
+                y: this.filters.gazeY.filter(features.gazeDirection.y, t)
+            };
+        }
+        if (features.headPose) {
+            smoothed.headPose = {
+                ...features.headPose,
+                yaw: this.filters.yaw.filter(features.headPose.yaw, t),
+                pitch: this.filters.pitch.filter(features.headPose.pitch, t),
+                roll: this.filters.roll.filter(features.headPose.roll, t)
+            };
+        }
+        return smoothed;
+    }
+
+    reset() {
+        Object.values(this.filters).forEach(filter => filter && filter.reset());
+        this.lastTime = null;
+    }
+}
+
+FeatureSmoother.FILTERS = {
+    'one-euro': OneEuroFilter,
+    'kalman': KalmanFilter1D
+};
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OneEuroFilter, KalmanFilter1D, FeatureSmoother };
+}